@@ -0,0 +1,82 @@
+// Measure how long the grid distortion takes to compute with many sources of distortion, and how far it deviates from the exact distortion. This is measured with sources of each kind of field in turn, and then with a mixture of them, failing if the distortion is ever further than `TOLERANCE` from exact. For example:
+//     node benchmark.js --sources 300 --frames 200
+import {WIDTH, HEIGHT, TAU, CELL_SIZE, BOUNDARY} from "./src/constants.js";
+import {Random} from "./src/util.js";
+import {Grid} from "./src/grid.js";
+import {FIELDS} from "./src/fields.js";
+
+const TOLERANCE = 1 / 4; // The furthest (in pixels) any point of the grid may be from where it would be exactly.
+
+const options = {sources: 100, frames: 200, seed: 1};
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 2) {
+	const option = args[i].replace(/^--/, "");
+	console.assert(option in options && !isNaN(args[i + 1]), "Unknown option: %s", args[i]);
+	options[option] = Number(args[i + 1]);
+}
+
+// The distortion of a single grid point, computed exactly (and slowly), considering every source, however far away, to compare against. Radial sources are computed from scratch, so that the falloff table (which every field uses) is checked too.
+function exact_displacement(p, sources) {
+	const max_dist = CELL_SIZE * BOUNDARY * 4;
+	const delta = {x: 0, y: 0};
+	const direction = {x: 0, y: 0};
+	for (const o of sources) {
+		if (!o.dist)
+			continue;
+		const [dx, dy] = [p.o.x - o.x, p.o.y - o.y];
+		const distance = Math.hypot(dx, dy);
+		let dis;
+		if (o.field === "radial") {
+			dis = Math.min(o.dist / Math.pow(1.5, distance / CELL_SIZE), max_dist);
+			[direction.x, direction.y] = distance === 0 ? [1, 0] : [Math.cos(Math.atan2(dy, dx)), Math.sin(Math.atan2(dy, dx))];
+		} else {
+			const axis = {x: Math.cos(o.dir), y: Math.sin(o.dir)};
+			dis = Math.min(o.dist * FIELDS[o.field].push(o, dx, dy, distance, CELL_SIZE, axis, direction), max_dist);
+		}
+		if (o.invert)
+			dis = -dis;
+		delta.x += direction.x * dis;
+		delta.y += direction.y * dis;
+	}
+	return delta;
+}
+
+// Time the grid with sources of the given fields, returning the time each frame took (in milliseconds), and the maximum error (in pixels).
+function measure(fields) {
+	const random = new Random(options.seed);
+	const grid = new Grid({width: WIDTH, height: HEIGHT, cell_size: CELL_SIZE, boundary: BOUNDARY});
+	// A mixture of sources of the sort found in the game: lots of small, fast ones like bullets and particles, and some large ones like explosions.
+	for (let i = 0; i < options.sources; ++i) {
+		const dist = random.next() < 0.1 ? 25 + random.next() * 100 : 1 + random.next() * 16;
+		const field = fields[Math.floor(random.next() * fields.length)];
+		grid.add_source({x: random.next() * WIDTH, y: random.next() * HEIGHT, dir: random.next() * TAU, spd: random.next() * 4, dist, invert: random.next() < 0.2, field, ring_radius: random.next() * 200});
+	}
+	let total = 0;
+	let error = 0;
+	for (let frame = 0; frame < options.frames; ++frame) {
+		for (const o of grid.sources) {
+			o.x += Math.cos(o.dir) * o.spd;
+			o.y += Math.sin(o.dir) * o.spd;
+		}
+		const start = performance.now();
+		grid.update();
+		total += performance.now() - start;
+		if (frame % 20 === 0) {
+			for (const p of grid.grid) {
+				const delta = exact_displacement(p, grid.sources);
+				error = Math.max(error, Math.hypot(p.o.x + delta.x - p.x, p.o.y + delta.y - p.y));
+			}
+		}
+	}
+	return {time: total / options.frames, error};
+}
+
+for (const fields of [...Object.keys(FIELDS).map(field => [field]), Object.keys(FIELDS)]) {
+	const {time, error} = measure(fields);
+	const name = fields.length === 1 ? `${fields[0]} field` : "mixture of fields";
+	console.log(`Grid distortion with ${options.sources} sources (${name}): ${time.toFixed(3)}ms per frame (maximum error: ${error.toFixed(3)}px).`);
+	if (error > TOLERANCE) {
+		console.error(`The maximum error is more than the tolerance of ${TOLERANCE}px.`);
+		process.exitCode = 1;
+	}
+}
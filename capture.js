@@ -0,0 +1,134 @@
+// Capturing the game in the browser, so that the distortion effect can be shared: stills are saved as PNGs, and clips of the last few seconds of play as WebM videos (where the browser can record video) or as animated GIFs. `distort.js` passes every frame it draws to `capture.frame`.
+import {WIDTH, HEIGHT, SECS, FRAME_RATE} from "./src/constants.js";
+import {settings} from "./src/settings.js";
+import {GifEncoder} from "./src/gif.js";
+
+// Save some data as a file, by downloading it. The data is let go of a little later, as some browsers only start the download once `click` has returned, and would otherwise find nothing there.
+export function download(blob, filename) {
+	const link = document.createElement("a");
+	link.href = URL.createObjectURL(blob);
+	link.download = filename;
+	link.click();
+	setTimeout(() => URL.revokeObjectURL(link.href), 10 * 1000);
+}
+
+// The current time, for naming the files that are saved (e.g. "2026-10-19-15-30-00").
+function timestamp() {
+	return new Date().toISOString().slice(0, 19).replace(/[T:]/g, "-");
+}
+
+// Whether the browser can record a canvas as a WebM video.
+function can_record_video() {
+	return typeof MediaRecorder !== "undefined" && MediaRecorder.isTypeSupported("video/webm") && "captureStream" in HTMLCanvasElement.prototype;
+}
+
+export const capture = {
+	CLIP_RATE: 20, // The frame rate of clips. This divides the game's own frame rate, so that the frames of a clip are a whole number of time steps apart.
+	CLIP_SCALE: 0.5, // The size of clips, relative to the playfield. Every frame of a clip is kept in memory until it's saved, so they're smaller than the screen.
+	MESSAGE_DURATION: 2 * SECS,
+	frames: [], // The canvases holding the frames of the last `clip_length` seconds, from oldest to newest.
+	spare: [], // Canvases that are no longer being used, which are reused rather than creating new ones.
+	last: null, // The real time at which the most recent frame of the clip was kept.
+	still_requested: false, // Whether to save the next frame that's drawn as a still.
+	saving: false, // Whether a clip is being saved, during which no more frames are kept.
+	message: {text: null, until: 0}, // What to tell the player about the most recent capture, and until when (in real time).
+	// Whether frames are being kept for clips (which may be turned off in the settings).
+	is_recording() {
+		return settings.get("clip_length") > 0;
+	},
+	// How many time steps apart the frames of a clip are, in frame-accurate mode.
+	steps_per_frame() {
+		return FRAME_RATE / this.CLIP_RATE;
+	},
+	notify(text, duration = this.MESSAGE_DURATION) {
+		this.message = {text, until: performance.now() + duration};
+	},
+	// Called with every frame as it's drawn: `source` is the canvas, and `region` is the part of it the playfield covers (in pixels). In frame-accurate mode, a frame of the clip is kept whenever the game has `advanced`. Otherwise, frames are kept at the clip's frame rate, in real time.
+	frame(source, region, now, advanced) {
+		if (this.still_requested) {
+			this.still_requested = false;
+			this.save_still(source, region);
+		}
+		const length = settings.get("clip_length") * this.CLIP_RATE; // The number of frames to keep.
+		// When clips are made shorter (or turned off), the frames that are no longer needed are let go.
+		this.frames.splice(0, Math.max(0, this.frames.length - length));
+		if (length === 0)
+			this.spare = [];
+		if (length === 0 || this.saving)
+			return;
+		const interval = SECS / this.CLIP_RATE;
+		const due = settings.get("frame_accurate") ? advanced : this.last === null || now >= this.last + interval - 1; // (Frames aren't drawn at exactly regular times, so a little leeway is allowed.)
+		if (!due)
+			return;
+		// Frames are kept on a regular schedule, so that the clip doesn't run slow, unless it's fallen far behind (e.g. while the page was hidden).
+		this.last = this.last === null || now - this.last > interval * 2 ? now : this.last + interval;
+		let canvas = this.frames.length === length ? this.frames.shift() : this.spare.pop();
+		if (canvas === undefined) {
+			canvas = document.createElement("canvas");
+			[canvas.width, canvas.height] = [Math.round(WIDTH * this.CLIP_SCALE), Math.round(HEIGHT * this.CLIP_SCALE)];
+		}
+		canvas.getContext("2d").drawImage(source, region.x, region.y, region.width, region.height, 0, 0, canvas.width, canvas.height);
+		this.frames.push(canvas);
+	},
+	// Save the next frame that's drawn as a still, at the full size of the screen.
+	still() {
+		this.still_requested = true;
+	},
+	save_still(source, region) {
+		const canvas = document.createElement("canvas");
+		[canvas.width, canvas.height] = [region.width, region.height];
+		canvas.getContext("2d").drawImage(source, region.x, region.y, region.width, region.height, 0, 0, region.width, region.height);
+		canvas.toBlob((blob) => download(blob, `distort-${timestamp()}.png`), "image/png");
+		this.notify("SAVED A STILL");
+	},
+	// Save the frames that have been kept as a clip, in the format chosen in the settings. Keeping frames starts again afterwards.
+	save_clip() {
+		if (this.saving || this.frames.length === 0)
+			return;
+		const frames = this.frames.splice(0);
+		const video = settings.get("clip_format") === "webm" && can_record_video();
+		this.saving = true;
+		this.notify("SAVING A CLIP", Infinity);
+		(video ? this.save_video(frames) : this.save_gif(frames)).then(() => {
+			this.notify("SAVED A CLIP");
+		}).catch((error) => {
+			console.error("The clip could not be saved.", error);
+			this.notify("THE CLIP COULD NOT BE SAVED");
+		}).finally(() => {
+			this.spare.push(...frames);
+			[this.saving, this.last] = [false, null];
+		});
+	},
+	// GIFs are encoded a frame at a time, so that the game doesn't freeze in the meantime.
+	async save_gif(frames) {
+		const gif = new GifEncoder({width: frames[0].width, height: frames[0].height, delay: SECS / this.CLIP_RATE});
+		for (const frame of frames) {
+			gif.add_frame(frame.getContext("2d").getImageData(0, 0, frame.width, frame.height).data);
+			await new Promise((resolve) => setTimeout(resolve));
+		}
+		download(new Blob([gif.finish()], {type: "image/gif"}), `distort-${timestamp()}.gif`);
+	},
+	// Videos are recorded by playing the frames back onto a canvas that isn't shown, so this takes as long as the clip lasts.
+	save_video(frames) {
+		return new Promise((resolve, reject) => {
+			const canvas = document.createElement("canvas");
+			[canvas.width, canvas.height] = [frames[0].width, frames[0].height];
+			const stream = canvas.captureStream(0); // The canvas is only recorded when a frame is requested, so that each frame is recorded exactly once.
+			const [track] = stream.getVideoTracks();
+			const recorder = new MediaRecorder(stream, {mimeType: "video/webm"});
+			const chunks = [];
+			recorder.addEventListener("dataavailable", (event) => chunks.push(event.data));
+			recorder.addEventListener("error", (event) => reject(event.error));
+			recorder.addEventListener("stop", () => {
+				download(new Blob(chunks, {type: "video/webm"}), `distort-${timestamp()}.webm`);
+				resolve();
+			});
+			recorder.start();
+			frames.forEach((frame, i) => setTimeout(() => {
+				canvas.getContext("2d").drawImage(frame, 0, 0);
+				track.requestFrame();
+			}, i * SECS / this.CLIP_RATE));
+			setTimeout(() => recorder.stop(), frames.length * SECS / this.CLIP_RATE);
+		});
+	},
+};
@@ -0,0 +1,24 @@
+// Simulate runs of the game without a browser, to see how long a player (or two, in co-op) who does nothing survives. For example:
+//     node simulate.js --difficulty 3 --runs 20 --seed 1 --level levels/endless.json --mode daily --players 2
+import {SECS} from "./src/constants.js";
+import {simulate, load_level} from "./src/headless.js";
+import {settings} from "./src/settings.js";
+
+const options = {difficulty: undefined, runs: 10, seed: undefined, level: undefined, mode: "endless", players: 1};
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 2) {
+	const option = args[i].replace(/^--/, "");
+	console.assert(option in options, "Unknown option: %s", args[i]);
+	options[option] = option === "level" || option === "mode" ? args[i + 1] : Number(args[i + 1]);
+}
+const level = options.level !== undefined ? load_level(options.level) : load_level();
+const rules = {...settings.gameplay(), players: options.players};
+
+let total = 0;
+for (let run = 0; run < options.runs; ++run) {
+	const seed = options.seed !== undefined ? options.seed + run : undefined;
+	const result = simulate({seed, level, mode: options.mode, difficulty: options.difficulty, rules});
+	total += result.time;
+	console.log(`Run ${run + 1} (seed ${result.seed}): survived ${(result.time / SECS).toFixed(2)}s, reaching difficulty ${result.difficulty}.`);
+}
+console.log(`Average survival time on ${level.name}, starting at difficulty ${options.difficulty !== undefined ? options.difficulty : level.difficulty.start}: ${(total / options.runs / SECS).toFixed(2)}s.`);
@@ -0,0 +1,240 @@
+import {clamp, local_storage, Random} from "./util.js";
+import {game} from "./state.js";
+import {events} from "./events.js";
+import {Enemy} from "./entities.js";
+
+// Sound effects and music, which are synthesised with Web Audio as they're needed, rather than loaded from files. If Web Audio isn't available (e.g. when the game is run headlessly), the game is simply silent.
+// Browsers don't let a page make any sound until the player has interacted with it, so `unlock` must be called from an input event before anything is heard.
+
+const NOTES = [0, 3, 5, 7, 10]; // The minor pentatonic scale, in semitones above the root.
+const CHORDS = [0, -4, 3, -2]; // The root of each bar of the music, in semitones above A (i.e. A, F, C, G).
+const LOOKAHEAD = 0.1; // How far ahead (in seconds) the music is scheduled, so that it doesn't stutter if a frame is late.
+
+// The frequency of the note the given number of semitones above A2.
+function frequency(semitones) {
+	return 110 * Math.pow(2, semitones / 12);
+}
+
+// The sound effects. Each schedules its sound at `time` (in the audio context's time) through `output`, and may take options from `audio.play`.
+const SOUNDS = {
+	shoot(time, output) {
+		audio.tone({type: "square", from: 880, to: 220, time, length: 0.08, gain: 0.15, output});
+	},
+	hit(time, output) {
+		audio.tone({type: "triangle", from: 330, to: 110, time, length: 0.06, gain: 0.3, output});
+	},
+	// The bigger the enemy, the deeper the explosion.
+	explosion(time, output, {size = 32} = {}) {
+		audio.noise({time, length: 0.4 + size / 160, gain: 0.5, filter: 3200 * 32 / size, output});
+		audio.tone({type: "sine", from: 160 * 32 / size, to: 40, time, length: 0.3, gain: 0.4, output});
+	},
+	// A rising arpeggio.
+	powerup(time, output) {
+		NOTES.forEach((note, i) => audio.tone({type: "triangle", from: frequency(24 + note), time: time + i * 0.04, length: 0.12, gain: 0.25, output}));
+	},
+	player_hit(time, output) {
+		audio.tone({type: "sawtooth", from: 440, to: 55, time, length: 0.35, gain: 0.3, output});
+		audio.noise({time, length: 0.25, gain: 0.3, filter: 1200, output});
+	},
+	player_death(time, output) {
+		audio.tone({type: "sawtooth", from: 220, to: 20, time, length: 1.5, gain: 0.4, output});
+		audio.noise({time, length: 1.5, gain: 0.6, filter: 600, output});
+	},
+	// A rising pair of notes, when the difficulty increases.
+	difficulty(time, output) {
+		audio.tone({type: "square", from: frequency(12), time, length: 0.15, gain: 0.15, output});
+		audio.tone({type: "square", from: frequency(19), time: time + 0.15, length: 0.3, gain: 0.15, output});
+	},
+};
+
+export const audio = {
+	STORAGE_KEY: "distort-audio",
+	VERSION: 1, // The version of the storage format.
+	MIN_INTERVAL: 0.03, // The shortest time (in seconds) between two of the same sound effect, so that many at once (e.g. from a bomb) don't deafen the player.
+	settings: null, // Whether the audio is muted, and the volume of everything, the sound effects and the music (from 0 to 1). These are loaded the first time they're needed.
+	context: null, // The audio context, which is created by `unlock`.
+	nodes: null, // The gain nodes that everything is played through: `master`, `effects` and `music`.
+	noise_buffer: null, // A second of white noise, shared by every noisy sound.
+	paused: false,
+	last_played: new Map(), // When each sound effect was last played.
+	// The generative music is a sixteen-step sequence, which is played faster and with more parts as the game gets more intense. Its randomness doesn't come from the game's random number generator, as the music doesn't affect the game.
+	music: {step: 0, bar: 0, next_time: 0, intensity: 0, random: new Random()},
+	// Create the audio context, once the player has interacted with the page.
+	unlock() {
+		if (this.settings === null)
+			this.load();
+		if (this.context === null) {
+			if (typeof AudioContext === "undefined")
+				return;
+			this.context = new AudioContext();
+			const compressor = this.context.createDynamicsCompressor();
+			compressor.connect(this.context.destination);
+			this.nodes = {master: this.context.createGain(), effects: this.context.createGain(), music: this.context.createGain()};
+			this.nodes.master.connect(compressor);
+			this.nodes.effects.connect(this.nodes.master);
+			this.nodes.music.connect(this.nodes.master);
+			this.noise_buffer = this.context.createBuffer(1, this.context.sampleRate, this.context.sampleRate);
+			const samples = this.noise_buffer.getChannelData(0);
+			for (let i = 0; i < samples.length; ++i)
+				samples[i] = this.music.random.next() * 2 - 1;
+			this.apply_settings();
+		}
+		if (this.context.state === "suspended" && !this.paused)
+			this.context.resume();
+	},
+	// Whether sound can be played at the moment.
+	is_playing() {
+		return this.context !== null && !this.paused && !this.settings.muted;
+	},
+	// Play one of the `SOUNDS`.
+	play(sound, options) {
+		if (!this.is_playing())
+			return;
+		const time = this.context.currentTime;
+		if (time - (this.last_played.get(sound) ?? -Infinity) < this.MIN_INTERVAL)
+			return;
+		this.last_played.set(sound, time);
+		SOUNDS[sound](time, this.nodes.effects, options);
+	},
+	// An oscillator, sliding from one frequency to another, which fades out over its length.
+	tone({type, from, to = from, time, length, gain, output}) {
+		const oscillator = this.context.createOscillator();
+		oscillator.type = type;
+		oscillator.frequency.setValueAtTime(from, time);
+		oscillator.frequency.exponentialRampToValueAtTime(to, time + length);
+		const envelope = this.context.createGain();
+		envelope.gain.setValueAtTime(gain, time);
+		envelope.gain.exponentialRampToValueAtTime(0.001, time + length);
+		oscillator.connect(envelope).connect(output);
+		oscillator.start(time);
+		oscillator.stop(time + length);
+	},
+	// A burst of noise, with the frequencies above `filter` removed, which fades out over its length.
+	noise({time, length, gain, filter, output}) {
+		const source = this.context.createBufferSource();
+		source.buffer = this.noise_buffer;
+		source.loop = true;
+		const lowpass = this.context.createBiquadFilter();
+		lowpass.type = "lowpass";
+		lowpass.frequency.value = filter;
+		const envelope = this.context.createGain();
+		envelope.gain.setValueAtTime(gain, time);
+		envelope.gain.exponentialRampToValueAtTime(0.001, time + length);
+		source.connect(lowpass).connect(envelope).connect(output);
+		source.start(time);
+		source.stop(time + length);
+	},
+	// Each time step, schedule the music that's about to play. The music gets more intense as the difficulty increases and the screen fills with enemies, and dies down on the title and game over screens.
+	update() {
+		if (!this.is_playing())
+			return;
+		const music = this.music;
+		music.intensity = game.at_title_screen || game.is_over ? 0 : game.boss !== null ? 1 : Math.min(1, game.difficulty / 8 + game.world.count(Enemy) / game.rules.max_enemies / 2);
+		const now = this.context.currentTime;
+		// If the music has fallen behind (e.g. because it was muted), it carries on from now, rather than trying to catch up.
+		music.next_time = Math.max(music.next_time, now);
+		while (music.next_time < now + LOOKAHEAD) {
+			this.play_step(music.next_time);
+			const tempo = 100 + 60 * music.intensity; // In beats per minute, each of which is four steps.
+			music.next_time += 60 / tempo / 4;
+			if (++music.step === 16)
+				[music.step, music.bar] = [0, (music.bar + 1) % CHORDS.length];
+		}
+	},
+	// Schedule each part of the music for a single step.
+	play_step(time) {
+		const {step, bar, intensity, random} = this.music;
+		const output = this.nodes.music;
+		const root = CHORDS[bar];
+		// The bass is always playing, and plays more often as the intensity increases.
+		if (step % 8 === 0 || (intensity > 0.3 && step % 4 === 0))
+			this.tone({type: "triangle", from: frequency(root - 12), time, length: 0.4, gain: 0.4, output});
+		// An arpeggio of random notes from the scale.
+		if (intensity > 0.15 && step % 2 === 0 && random.next() < 0.3 + intensity / 2) {
+			const note = NOTES[Math.floor(random.next() * NOTES.length)] + 12 * Math.floor(random.next() * 2);
+			this.tone({type: "square", from: frequency(root + 12 + note), time, length: 0.12, gain: 0.06, output});
+		}
+		// Hi-hats.
+		if (intensity > 0.5 && step % 2 === 1)
+			this.noise({time, length: 0.04, gain: 0.1, filter: 12000, output});
+		// A kick drum on each beat.
+		if (intensity > 0.7 && step % 4 === 0)
+			this.tone({type: "sine", from: 150, to: 40, time, length: 0.15, gain: 0.6, output});
+	},
+	// The audio pauses along with the game.
+	pause() {
+		this.paused = true;
+		if (this.context !== null)
+			this.context.suspend();
+	},
+	resume() {
+		this.paused = false;
+		if (this.context !== null)
+			this.context.resume();
+	},
+	toggle_mute() {
+		if (this.settings === null)
+			this.load();
+		this.settings.muted = !this.settings.muted;
+		this.apply_settings();
+		this.save();
+	},
+	// Change one of the volumes (`master`, `effects` or `music`) by the given amount.
+	change_volume(volume, change) {
+		if (this.settings === null)
+			this.load();
+		this.settings.volume[volume] = clamp(0, Math.round((this.settings.volume[volume] + change) * 10) / 10, 1);
+		this.apply_settings();
+		this.save();
+	},
+	apply_settings() {
+		if (this.context === null)
+			return;
+		const {muted, volume} = this.settings;
+		for (const [name, node] of Object.entries(this.nodes))
+			node.gain.value = name === "master" && muted ? 0 : volume[name];
+	},
+	load() {
+		this.settings = {muted: false, volume: {master: 0.7, effects: 1, music: 0.6}};
+		const store = local_storage();
+		try {
+			const stored = store !== null ? store.getItem(this.STORAGE_KEY) : null;
+			if (stored === null)
+				return;
+			const data = JSON.parse(stored);
+			if (data.version !== this.VERSION)
+				throw new Error(`Unrecognised audio settings format (version ${data.version}).`);
+			if (typeof data.muted === "boolean")
+				this.settings.muted = data.muted;
+			// Any volumes that are invalid keep their defaults.
+			for (const volume of Object.keys(this.settings.volume)) {
+				const value = data.volume[volume];
+				if (typeof value === "number" && value >= 0 && value <= 1)
+					this.settings.volume[volume] = value;
+			}
+		} catch (error) {
+			console.warn("The saved audio settings could not be read, so the defaults are being used.", error);
+		}
+	},
+	save() {
+		const store = local_storage();
+		if (store === null)
+			return;
+		try {
+			store.setItem(this.STORAGE_KEY, JSON.stringify({version: this.VERSION, ...this.settings}));
+		} catch (error) {
+			console.warn("The audio settings could not be saved.", error);
+		}
+	},
+};
+
+// The sound effects that accompany events in the game.
+events.on("player_fired", () => audio.play("shoot"));
+events.on("enemy_hit", ({enemy}) => {
+	if (enemy.hp > 0)
+		audio.play("hit");
+});
+events.on("enemy_killed", ({enemy, by}) => audio.play("explosion", {size: by !== null ? enemy.size : 96})); // A bomb sounds like one big explosion.
+events.on("powerup_collected", () => audio.play("powerup"));
+events.on("player_hit", ({outcome}) => audio.play(outcome === "destroyed" ? "player_death" : "player_hit"));
+events.on("difficulty_up", () => audio.play("difficulty"));
@@ -0,0 +1,105 @@
+import {WIDTH, HEIGHT, TAU, SECS} from "./constants.js";
+import {context, PD, draw} from "./draw.js";
+import {game} from "./state.js";
+import {Enemy, Displacement, Shockwave} from "./entities.js";
+import {Projectile} from "./enemies.js";
+
+// The phases of a boss fight. Each phase begins once the boss's health falls to `health` (as a proportion of its maximum), and changes how the boss attacks, how it moves and how it distorts the grid.
+export const BOSS_PHASES = [
+	{health: 1, attack: "burst", interval: 2 * SECS, field: "radial", hue: 300},
+	{health: 2 / 3, attack: "spread", interval: 1.2 * SECS, field: "ring", hue: 330},
+	{health: 1 / 3, attack: "spiral", interval: 0.1 * SECS, field: "vortex", hue: 0},
+];
+
+// A large enemy that appears at certain difficulties (see `parse_level`). While it's alive, no other enemies spawn.
+export class Boss extends Enemy {
+	constructor({x, y, difficulty, ...override}, add_to_world = true) {
+		super({x, y, difficulty}, add_to_world);
+		this.size = 72;
+		this.hue = BOSS_PHASES[0].hue;
+		this.lightness = 60;
+		this.hp = this.max_hp = 40 + difficulty * 20;
+		this.points *= 20;
+		this.mass = 10;
+		this.strength = 64;
+		this.ring_radius = this.size * 1.5; // Used by the ring field, in the second phase.
+		this.phase = 0;
+		this.last_attack = game.time;
+		this.spiral = 0; // The direction of the next shot in the spiral attack.
+		Object.assign(this, override);
+	}
+	steer() {
+		// Move on to the next phase, once the boss has been damaged enough.
+		while (this.phase + 1 < BOSS_PHASES.length && this.hp <= this.max_hp * BOSS_PHASES[this.phase + 1].health) {
+			++this.phase;
+			Object.assign(this, {field: BOSS_PHASES[this.phase].field, hue: BOSS_PHASES[this.phase].hue});
+			new Shockwave({x: this.x, y: this.y, dist: 64, destroy: 0.5});
+			game.shake_screen(40, 0.6 * SECS);
+		}
+		// In the first two phases, the boss sweeps across the top of the screen. In the last, it chases the player.
+		const sweep = Math.sin(game.time / SECS * TAU / (this.phase === 0 ? 8 : 4));
+		const target = this.phase < 2 ? {x: WIDTH / 2 + sweep * WIDTH / 3, y: HEIGHT / 4} : game.nearest_player(this);
+		this.dir = Math.atan2(target.y - this.y, target.x - this.x);
+		this.spd = Math.min(this.phase < 2 ? 2 : 1.25, Math.hypot(target.x - this.x, target.y - this.y) / 20);
+		// The boss only attacks once it's on the screen.
+		const onscreen = this.x >= 0 && this.x < WIDTH && this.y >= 0 && this.y < HEIGHT;
+		if (onscreen && !game.is_over && game.time - this.last_attack >= BOSS_PHASES[this.phase].interval) {
+			this.attack(BOSS_PHASES[this.phase].attack);
+			this.last_attack = game.time;
+		}
+	}
+	attack(kind) {
+		const player = game.nearest_player(this);
+		const towards = Math.atan2(player.y - this.y, player.x - this.x);
+		switch (kind) {
+			case "burst":
+				// A ring of projectiles in every direction.
+				for (let i = 0; i < 16; ++i)
+					this.fire(towards + i / 16 * TAU);
+				break;
+			case "spread":
+				// A fan of projectiles aimed at the player.
+				for (let i = -2; i <= 2; ++i)
+					this.fire(towards + i * TAU / 32);
+				new Shockwave({x: this.x, y: this.y, dist: 24, destroy: 0.5});
+				break;
+			case "spiral":
+				// A pair of constantly rotating streams of projectiles.
+				this.fire(this.spiral);
+				this.fire(this.spiral + TAU / 2);
+				this.spiral += TAU / 24;
+				break;
+		}
+	}
+	// Fire a projectile from the edge of the boss, so that it isn't immediately shielding the boss from the player's bullets.
+	fire(dir) {
+		new Projectile({x: this.x + Math.cos(dir) * this.size, y: this.y + Math.sin(dir) * this.size, dir});
+	}
+	destroyed() {
+		game.boss = null;
+		// The finale: the whole grid is blown apart.
+		new Displacement({x: this.x, y: this.y, dist: 256, destroy: 1});
+		for (const ring_speed of [4, 8, 12])
+			new Shockwave({x: this.x, y: this.y, dist: 64, destroy: 0.25, ring_speed});
+		game.shake_screen(150, 1.5 * SECS);
+		game.trigger_particle_effect(this, 6, TAU, 64);
+	}
+	outline() {
+		return {radius: this.size - this.recoil * 8, sides: 8};
+	}
+	draw() {
+		const {radius, sides} = this.outline();
+		context.strokeStyle = `hsl(${this.hue}, 100%, ${(1 - this.recoil / 2) * this.lightness}%)`;
+		context.lineWidth = 6;
+		draw.polygon(this, radius, sides);
+		// The core rotates in the opposite direction, and gains sides as the boss is damaged.
+		context.lineWidth = 4;
+		draw.polygon({x: this.x, y: this.y, rotate: -this.rotate * 2}, radius / 2, 3 + this.phase);
+		// The health left in the current phase is shown as a ring around the core.
+		const top = BOSS_PHASES[this.phase].health * this.max_hp;
+		const bottom = this.phase + 1 < BOSS_PHASES.length ? BOSS_PHASES[this.phase + 1].health * this.max_hp : 0;
+		context.beginPath();
+		context.arc(this.x * PD, this.y * PD, radius / 4 * PD, -TAU / 4, -TAU / 4 + TAU * (this.hp - bottom) / (top - bottom));
+		context.stroke();
+	}
+}
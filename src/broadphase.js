@@ -0,0 +1,40 @@
+import {bounds} from "./geometry.js";
+
+// A spatial hash of objects by the grid cells their shapes overlap, so that collisions only need to be checked between objects that are near each other, rather than between every pair.
+export class SpatialGrid {
+	constructor(cell_size) {
+		this.cell_size = cell_size;
+		this.cells = new Map(); // The objects overlapping each cell, by the cell's key.
+	}
+	// The keys of the cells overlapping the rectangle.
+	cells_in({left, top, right, bottom}) {
+		const keys = [];
+		for (let x = Math.floor(left / this.cell_size); x <= Math.floor(right / this.cell_size); ++x) {
+			for (let y = Math.floor(top / this.cell_size); y <= Math.floor(bottom / this.cell_size); ++y)
+				keys.push(`${x},${y}`);
+		}
+		return keys;
+	}
+	// Rebuild the grid from scratch, e.g. once the objects have moved. Objects that are removed afterwards stay in the grid until it's next rebuilt, so anything it finds must be checked.
+	rebuild(objects) {
+		this.cells.clear();
+		for (const o of objects)
+			this.insert(o);
+	}
+	insert(o) {
+		for (const key of this.cells_in(bounds(o.shape()))) {
+			if (!this.cells.has(key))
+				this.cells.set(key, []);
+			this.cells.get(key).push(o);
+		}
+	}
+	// The objects that might overlap the rectangle, once it's been expanded by `margin` on every side.
+	query({left, top, right, bottom}, margin = 0) {
+		const found = new Set();
+		for (const key of this.cells_in({left: left - margin, top: top - margin, right: right + margin, bottom: bottom + margin})) {
+			for (const o of this.cells.get(key) || [])
+				found.add(o);
+		}
+		return found;
+	}
+}
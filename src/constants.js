@@ -0,0 +1,28 @@
+// Global constants.
+export const [WIDTH, HEIGHT] = [768, 608];
+export const TAU = 2 * Math.PI;
+export const SECS = 1000;
+export const FRAME_RATE = 60; // The number of time steps simulated per second, regardless of how often the game is drawn.
+export const TIME_STEP = SECS / FRAME_RATE;
+export const PLAYER_LIVES = 3;
+export const INVULNERABILITY = 2; // How long (in seconds) the player is invulnerable for after being hit.
+
+// Scoring constants.
+export const COMBO_WINDOW = 2; // How long (in seconds) the player has after each kill to make another, to continue their combo.
+export const COMBO_STEP = 5; // How many kills in a combo it takes to raise the multiplier by one.
+export const MAX_MULTIPLIER = 8;
+export const POINT_BLANK = 96; // How close an enemy has to be to the player for its destruction to count as a point-blank kill.
+export const POINT_BLANK_BONUS = 0.5; // The proportion of an enemy's points awarded again for a point-blank kill.
+export const MULTI_KILL_BONUS = 500; // The points awarded for each extra kill from a single volley of bullets.
+
+// Collision constants.
+export const COLLISION_CELL_SIZE = 64; // The size of the cells of the spatial grid used to find enemies near each object (see `SpatialGrid`).
+export const COLLISION_MARGIN = 32; // How far an enemy may move during a time step, after the spatial grid has been built.
+
+// Grid constants.
+export const CELL_SIZE = 32; // The size of each grid cell, unless a different density is chosen in the settings. (Enemies are also spaced out by this much, whatever the density.)
+export const BOUNDARY = 1; // How many extra cells to draw offscreen (to ensure the player doesn't see the edge of the grid).
+export const GRID_MODE = "static"; // Either "static", where points are moved directly to wherever they're distorted, or "dynamic", where points are pulled there by springs, so that impacts ripple across the grid.
+export const GRID_STIFFNESS = 0.1; // In the dynamic mode, the strength of the springs between neighbouring points.
+export const GRID_ANCHORING = 0.05; // In the dynamic mode, the strength of the springs pulling each point towards its distorted position.
+export const GRID_DAMPING = 0.04; // In the dynamic mode, the proportion of each point's velocity that is lost every time step.
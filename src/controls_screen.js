@@ -0,0 +1,98 @@
+import {WIDTH, HEIGHT} from "./constants.js";
+import {context, draw} from "./draw.js";
+import {keys, cursor, controls, LAYOUTS} from "./input.js";
+
+const ROW_HEIGHT = 32;
+const TOP = HEIGHT / 4 + 70; // The position of the first row.
+
+// The controls screen, which may be opened from the title screen, on which the player may rebind actions or choose a different layout for movement.
+export const controls_screen = {
+	is_open: false,
+	selected: 0, // The index of the selected row.
+	rebinding: false, // Whether we're waiting for the player to press the input to bind to the selected action.
+	// Each action may be rebound, followed by the options.
+	rows() {
+		return [...controls.REBINDABLE, "layout", "reset", "back"];
+	},
+	open() {
+		[this.is_open, this.selected, this.rebinding] = [true, 0, false];
+	},
+	close() {
+		this.is_open = false;
+	},
+	// The row at the given position, or -1 if there isn't one.
+	row_at({x, y}) {
+		const row = Math.round((y - TOP) / ROW_HEIGHT);
+		return Math.abs(x - WIDTH / 2) < 220 && row >= 0 && row < this.rows().length ? row : -1;
+	},
+	// Each time step, either navigate the screen, or wait for the input to rebind the selected action to.
+	update() {
+		const rows = this.rows();
+		if (this.rebinding) {
+			const pressed = Array.from(keys.held.entries()).find(([key, held]) => held === 1);
+			if (pressed !== undefined || cursor.is_pressed()) {
+				controls.rebind(rows[this.selected], pressed !== undefined ? pressed[0] : "MOUSE");
+				this.rebinding = false;
+			}
+			return;
+		}
+		if (controls.is_pressed("controls")) {
+			this.close();
+			return;
+		}
+		if (controls.is_pressed("up"))
+			this.selected = (this.selected + rows.length - 1) % rows.length;
+		if (controls.is_pressed("down"))
+			this.selected = (this.selected + 1) % rows.length;
+		// Clicking chooses the row that was clicked on.
+		if (cursor.is_pressed()) {
+			const row = this.row_at(cursor);
+			if (row === -1)
+				return;
+			this.selected = row;
+		}
+		if (controls.is_pressed("confirm") || controls.is_pressed("fire")) {
+			switch (rows[this.selected]) {
+				case "layout": {
+					// Cycle through the layouts.
+					const layouts = Object.keys(LAYOUTS);
+					controls.use_layout(layouts[(layouts.indexOf(controls.layout()) + 1) % layouts.length]);
+					break;
+				}
+				case "reset":
+					controls.reset();
+					break;
+				case "back":
+					this.close();
+					break;
+				default:
+					this.rebinding = true;
+					break;
+			}
+		}
+	},
+	draw() {
+		context.fillStyle = "white";
+		draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT / 4}, "CONTROLS", 48, draw.TEXT_CENTRED), context.fillStyle);
+		this.rows().forEach((row, i) => {
+			const y = TOP + i * ROW_HEIGHT;
+			context.fillStyle = i === this.selected ? "hsl(55, 100%, 60%)" : "white";
+			if (controls.REBINDABLE.includes(row)) {
+				const inputs = i === this.selected && this.rebinding ? "PRESS A KEY..." : controls.bindings[row].map(input => input === "MOUSE" ? "CLICK" : input).join(" / ");
+				draw.text({x: WIDTH / 2 - 200, y}, row.toUpperCase(), 20, {h: "left", v: "middle"});
+				draw.text({x: WIDTH / 2 + 200, y}, inputs, 20, {h: "right", v: "middle"});
+			} else {
+				const label = {layout: `LAYOUT: ${controls.layout() || "CUSTOM"}`, reset: "RESET TO DEFAULTS", back: "BACK"}[row];
+				draw.text({x: WIDTH / 2, y}, label, 20, draw.TEXT_CENTRED);
+			}
+		});
+		// The page's shortcuts give up their keys to the actions above, so point out any that have been left without one.
+		const unbound = controls.unbound_shortcuts();
+		if (unbound.length > 0) {
+			context.fillStyle = "hsl(0, 100%, 70%)";
+			draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT - 80}, `KEYS TAKEN FROM: ${unbound.map(shortcut => shortcut.replace("_", " ").toUpperCase()).join(", ")}`, 16, draw.TEXT_CENTRED), context.fillStyle, 2);
+		}
+		context.fillStyle = "white";
+		draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT - 48}, `${controls.describe("up")} / ${controls.describe("down")} TO CHOOSE, ${controls.describe("confirm")} / CLICK TO CHANGE`, 16, draw.TEXT_CENTRED), context.fillStyle, 2);
+	},
+};
@@ -0,0 +1,230 @@
+import {WIDTH, HEIGHT, TAU, SECS} from "./constants.js";
+import {context, PD, draw} from "./draw.js";
+import {game} from "./state.js";
+import {ENEMY_TYPES} from "./enemies.js";
+import {POWERUP_TYPES} from "./powerups.js";
+import {FORMATIONS} from "./waves.js";
+
+const LOG_LENGTH = 8; // How many lines of output the console shows.
+const SMOOTHING = 0.05; // How quickly the timings shown in the overlay follow changes, so that they're readable.
+
+// A non-negative whole number given to a command, or `fallback`, if it was omitted.
+function whole_number(argument, fallback) {
+	if (argument === undefined)
+		return fallback;
+	const number = Number(argument);
+	if (!Number.isInteger(number) || number < 0)
+		throw new Error(`${argument} IS NOT A WHOLE NUMBER`);
+	return number;
+}
+
+// The commands that may be typed into the debug console, for tuning the game. Each has a `usage` line, and runs with the words following its name, returning what to print, which may span several lines (or throwing an error, whose message is printed instead). Commands that change the run are `gameplay` commands: these are run at the start of the next time step, and recorded, so that a run that used them may still be replayed (see `Game.run_commands`). Running any of them means the run doesn't count towards the high scores.
+export const COMMANDS = {
+	help: {usage: "HELP", gameplay: false, run: () => Object.values(COMMANDS).map(command => command.usage).join("\n")},
+	// Spawn enemies of the given type, at the given difficulty (or the current one), from random sides of the screen. These spawn even during a boss fight, or when there are already as many enemies as are allowed.
+	spawn: {
+		usage: "SPAWN TYPE [DIFFICULTY] [COUNT]",
+		gameplay: true,
+		run(type, difficulty, count) {
+			if (!(type in ENEMY_TYPES))
+				throw new Error(`UNKNOWN ENEMY: ${type}. TRY ${Object.keys(ENEMY_TYPES).join(", ")}`);
+			[difficulty, count] = [whole_number(difficulty, game.difficulty), whole_number(count, 1)];
+			for (const {x, y} of FORMATIONS.scatter(count, "random"))
+				new ENEMY_TYPES[type]({x, y, difficulty});
+			return `SPAWNED ${count} ${type} AT DIFFICULTY ${difficulty}`;
+		},
+	},
+	boss: {
+		usage: "BOSS [DIFFICULTY]",
+		gameplay: true,
+		run(difficulty) {
+			if (game.boss !== null)
+				throw new Error("THERE'S ALREADY A BOSS");
+			difficulty = whole_number(difficulty, game.difficulty);
+			game.spawn_boss(difficulty);
+			return `SUMMONED A BOSS AT DIFFICULTY ${difficulty}`;
+		},
+	},
+	// Give a player a powerup, as if they'd picked it up.
+	powerup: {
+		usage: "POWERUP TYPE [PLAYER]",
+		gameplay: true,
+		run(type, index) {
+			if (!(type in POWERUP_TYPES))
+				throw new Error(`UNKNOWN POWERUP: ${type}. TRY ${Object.keys(POWERUP_TYPES).join(", ")}`);
+			const player = game.players[whole_number(index, 1) - 1];
+			if (player === undefined)
+				throw new Error(`THERE'S NO PLAYER ${index}`);
+			game.collect_powerup(player, type);
+			return `GAVE PLAYER ${player.index + 1} ${type}`;
+		},
+	},
+	difficulty: {
+		usage: "DIFFICULTY LEVEL",
+		gameplay: true,
+		run(level) {
+			if (level === undefined)
+				throw new Error("THE DIFFICULTY IS MISSING");
+			game.difficulty = whole_number(level);
+			return `SET THE DIFFICULTY TO ${game.difficulty}`;
+		},
+	},
+	// In god mode, the players pass straight through enemies.
+	god: {
+		usage: "GOD",
+		gameplay: true,
+		run() {
+			game.god_mode = !game.god_mode;
+			return `GOD MODE ${game.god_mode ? "ON" : "OFF"}`;
+		},
+	},
+	heatmap: {
+		usage: "HEATMAP",
+		gameplay: false,
+		run() {
+			debug.heatmap = !debug.heatmap;
+			return `HEATMAP ${debug.heatmap ? "ON" : "OFF"}`;
+		},
+	},
+};
+
+// The tools for tuning the game: an overlay showing the state of the game and how long it takes to update and draw, and a console for changing the run (see `COMMANDS`). In the browser, these are opened with the "debug" and "console" actions. Headlessly, commands may be run with `debug.submit`.
+export const debug = {
+	overlay: false, // Whether the overlay is shown.
+	heatmap: false, // Whether the overlay also shows how much the grid is displaced.
+	timings: {frame: null, update: 0, draw: 0}, // The time (in milliseconds) between frames, and spent updating and drawing each frame, smoothed over many frames.
+	console: {is_open: false, text: "", log: []}, // The command being typed, and the lines most recently printed.
+	toggle_overlay() {
+		this.overlay = !this.overlay;
+	},
+	// Called with how long the latest frame took to update and draw, and the time between it and the previous frame.
+	measure(interval, update, draw) {
+		const smooth = (previous, latest) => previous === null ? latest : previous + (latest - previous) * SMOOTHING;
+		this.timings = {frame: smooth(this.timings.frame, interval), update: smooth(this.timings.update, update), draw: smooth(this.timings.draw, draw)};
+	},
+	open_console() {
+		this.console.is_open = true;
+		this.console.text = "";
+	},
+	close_console() {
+		this.console.is_open = false;
+	},
+	print(text) {
+		this.console.log = [...this.console.log, ...text.split("\n")].slice(-LOG_LENGTH);
+	},
+	// Handle a key (as named by `keys.name`) pressed while the console is open: letters, digits and spaces are typed, and anything else is ignored.
+	type(key) {
+		if (key === "ESCAPE")
+			this.close_console();
+		else if (key === "ENTER") {
+			this.submit(this.console.text);
+			this.console.text = "";
+		} else if (key === "BACKSPACE")
+			this.console.text = this.console.text.slice(0, -1);
+		else if (key === "SPACE")
+			this.console.text += " ";
+		else if (/^[A-Z0-9]$/.test(key))
+			this.console.text += key;
+	},
+	// Run a command as typed (e.g. "SPAWN ORBITER 3 5"). Commands that change the run wait for the game to run them.
+	submit(text) {
+		const [name, ...args] = text.trim().toLowerCase().split(/\s+/);
+		if (name === "")
+			return;
+		this.print(`> ${text.trim().toUpperCase()}`);
+		if (!(name in COMMANDS)) {
+			this.print(`UNKNOWN COMMAND: ${name.toUpperCase()}. TRY HELP`);
+			return;
+		}
+		if (COMMANDS[name].gameplay) {
+			if (game.at_title_screen || game.is_over || game.replaying)
+				this.print("THIS MAY ONLY BE USED DURING A RUN");
+			else game.queue_command([name, ...args].join(" "));
+		} else this.run([name, ...args].join(" "));
+	},
+	// Run a command straight away, printing the outcome.
+	run(command) {
+		const [name, ...args] = command.split(" ");
+		try {
+			this.print(`${COMMANDS[name].run(...args)}`.toUpperCase());
+		} catch (error) {
+			this.print(error.message.toUpperCase());
+		}
+	},
+	// Draw the overlay (if it's shown) and the console (if it's open), over everything else.
+	draw() {
+		if (this.overlay) {
+			if (this.heatmap)
+				this.draw_heatmap();
+			this.draw_shapes();
+			this.draw_stats(12, 140);
+		}
+		if (this.console.is_open)
+			this.draw_console();
+	},
+	// What's going on in the game, listed down the left of the screen.
+	draw_stats(x, y) {
+		const {frame, update, draw: drawing} = this.timings;
+		const counts = new Map();
+		for (const o of game.world.all())
+			counts.set(o.constructor.name, (counts.get(o.constructor.name) || 0) + 1);
+		// The waves are only running during the run, in modes with enemies.
+		const until = (time) => time === Infinity ? "NEVER" : `${(Math.max(0, time - game.time) / SECS).toFixed(1)}S`;
+		const next_spawn = game.waves !== null ? Math.min(...game.waves.next_times.filter(time => time !== null)) : Infinity;
+		const next_difficulty = game.waves !== null ? game.waves.next_difficulty_time : Infinity;
+		const lines = [
+			`FPS ${frame !== null && frame > 0 ? Math.round(1000 / frame) : "-"}`,
+			`UPDATE ${update.toFixed(2)}MS / DRAW ${drawing.toFixed(2)}MS`,
+			`DIFFICULTY ${game.difficulty} (NEXT IN ${until(next_difficulty)})`,
+			`NEXT SPAWN IN ${until(next_spawn)}`,
+			...(game.god_mode ? ["GOD MODE"] : []),
+			`ENTITIES ${game.world.count()}`,
+			...Array.from(counts, ([name, count]) => `  ${name.toUpperCase()} ${count}`),
+		];
+		context.fillStyle = "hsl(120, 100%, 70%)";
+		lines.forEach((line, i) => draw.text({x, y: y + i * 18}, line, 14, {h: "left", v: "top"}, "monospace"));
+		context.fillStyle = "white";
+	},
+	// The shape each entity collides with, in the same place it's drawn (including the screen shake).
+	draw_shapes() {
+		const {x: shake_x, y: shake_y} = game.screen_shake;
+		context.translate(shake_x * PD, shake_y * PD);
+		context.strokeStyle = "hsl(120, 100%, 50%)";
+		context.lineWidth = 1;
+		for (const o of game.world.all()) {
+			if (typeof o.shape !== "function")
+				continue;
+			const shape = o.shape();
+			if ("vertices" in shape)
+				draw.outline(shape.vertices);
+			else {
+				context.beginPath();
+				context.arc(shape.x * PD, shape.y * PD, Math.max(shape.radius, 1) * PD, 0, TAU);
+			}
+			context.stroke();
+		}
+		context.translate(-shake_x * PD, -shake_y * PD);
+	},
+	// How far the sources of distortion displace each point of the grid, shaded from blue (barely at all) to red (as far as any one source may), around where each point would be undistorted.
+	draw_heatmap() {
+		const {grid} = game;
+		for (let j = 0; j < grid.grid.length; ++j) {
+			const magnitude = Math.min(1, grid.displacement(j) / grid.max_dist);
+			if (magnitude < 0.01)
+				continue;
+			const {o} = grid.grid[j];
+			context.fillStyle = `hsla(${(1 - magnitude) * 240}, 100%, 50%, ${0.2 + magnitude * 0.4})`;
+			context.fillRect((o.x - grid.cell_size / 2) * PD, (o.y - grid.cell_size / 2) * PD, grid.cell_size * PD, grid.cell_size * PD);
+		}
+	},
+	// The console runs along the bottom of the screen, with its output above the command being typed.
+	draw_console() {
+		const height = (LOG_LENGTH + 1) * 20 + 16;
+		context.fillStyle = "rgba(0, 0, 0, 0.75)";
+		context.fillRect(0, (HEIGHT - height) * PD, WIDTH * PD, height * PD);
+		context.fillStyle = "white";
+		this.console.log.forEach((line, i) => draw.text({x: 12, y: HEIGHT - height + 8 + i * 20}, line, 14, {h: "left", v: "top"}, "monospace"));
+		const cursor = Math.floor(performance.now() / 500) % 2 === 0 ? "_" : "";
+		draw.text({x: 12, y: HEIGHT - 28}, `> ${this.console.text}${cursor}`, 14, {h: "left", v: "top"}, "monospace");
+	},
+};
@@ -0,0 +1,52 @@
+import {polygon_vertices, triangle_vertices} from "./geometry.js";
+
+// The context everything is drawn to, and its pixel density (i.e. the number of pixels of the canvas to each unit of the playfield, which depends on both the screen and the size of the window). These are only set when the game is being displayed, so nothing may be drawn when the game is run headlessly.
+export let context = null;
+export let PD = 1;
+
+export function set_context(new_context, pixel_density) {
+	context = new_context;
+	PD = pixel_density;
+}
+
+// Functions for drawing.
+export const draw = {
+	TEXT_CENTRED: {h: "center", v: "middle"},
+	glow: 1, // The strength of the glow around everything, relative to normal, which may be changed in the settings.
+	with_glow(fn, colour, blur = 16) {
+		context.shadowColor = colour;
+		context.shadowBlur = blur * draw.glow * PD;
+		fn();
+		context.shadowBlur = 0;
+	},
+	with_alpha(fn, alpha) {
+		context.globalAlpha = alpha;
+		fn();
+		context.globalAlpha = 1;
+	},
+	// Trace the outline of a shape (see `geometry.js`), so that what's drawn matches what collides.
+	outline(vertices) {
+		context.beginPath();
+		for (const v of vertices)
+			context.lineTo(v.x * PD, v.y * PD);
+		context.closePath();
+	},
+	isosceles_triangle(o, radius, side_scale) {
+		draw.outline(triangle_vertices(o, radius, side_scale));
+	},
+	polygon(o, radius, sides) {
+		draw.outline(polygon_vertices(o, radius, sides));
+		draw.with_glow(() => context.stroke(), context.strokeStyle);
+	},
+	text(o, text, size, align = {h: "left", v: "top"}, font = `CamingoCode, Helvetica, sans-serif`) {
+		context.textAlign = align.h;
+		context.textBaseline = align.v;
+		const font_and_size = `${size * PD}px ${font}`;
+		context.font = font_and_size;
+		context.fillText(text, o.x * PD, o.y * PD);
+	},
+};
+export class Drawable {
+	update() {}
+	draw() {}
+}
@@ -0,0 +1,49 @@
+import {TAU, SECS} from "./constants.js";
+import {game} from "./state.js";
+import {events} from "./events.js";
+import {Player, Displacement, Shockwave} from "./entities.js";
+
+// The visual effects (screen shake, particles and distortions of the grid) that accompany events in the game.
+
+events.on("enemy_hit", ({by}) => {
+	const player = by instanceof Player;
+	if (!player)
+		game.shake_screen(10, 0.2 * SECS); // If a bullet hits an enemy, shake the screen a little.
+	game.trigger_particle_effect(by, player ? 4 : 2, TAU / 8, (player ? 16 : 8) + Math.floor(game.random.next() * 16));
+});
+
+events.on("enemy_killed", ({enemy, by}) => {
+	// When an enemy is destroyed, create an explosion effect. (A bomb has its own, rather than one for every enemy it destroys.)
+	if (by !== null) {
+		game.shake_screen(100, 0.4 * SECS);
+		new Displacement({x: enemy.x, y: enemy.y, dist: (enemy.difficulty + 1) * 25, invert: false, destroy: 4});
+	}
+	game.trigger_particle_effect(enemy, 4, TAU, 8 + Math.floor(game.random.next() * 16));
+});
+
+// When a powerup is collected or destroyed, create an implosion effect. We don't shake the screen, unless it was shot.
+function implode({powerup, by}) {
+	if (!(by instanceof Player))
+		game.shake_screen(10, 0.2 * SECS);
+	new Displacement({x: powerup.x, y: powerup.y, dist: (powerup.difficulty + 1) * 25, invert: true, destroy: 4});
+	game.trigger_particle_effect(powerup, 4, TAU, 8 + Math.floor(game.random.next() * 16));
+}
+events.on("powerup_collected", implode);
+events.on("powerup_destroyed", implode);
+
+// The harder the player is hit, the more the screen shakes, and the bigger the shockwave across the grid.
+events.on("player_hit", ({player, outcome}) => {
+	const {shake, time, dist} = {
+		shielded: {shake: 20, time: 0.5, dist: 24},
+		hurt: {shake: 30, time: 0.75, dist: 32},
+		destroyed: {shake: 50, time: 1.5, dist: 48},
+	}[outcome];
+	game.shake_screen(shake, time * SECS);
+	new Shockwave({x: player.x, y: player.y, dist, destroy: 0.5});
+});
+
+events.on("bomb_detonated", ({player}) => {
+	new Displacement({x: player.x, y: player.y, dist: 256, destroy: 2});
+	new Shockwave({x: player.x, y: player.y, dist: 64, destroy: 0.25, ring_speed: 16});
+	game.shake_screen(120, 1 * SECS);
+});
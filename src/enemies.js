@@ -0,0 +1,235 @@
+import {WIDTH, HEIGHT, TAU, SECS, TIME_STEP} from "./constants.js";
+import {context, PD, draw} from "./draw.js";
+import {game} from "./state.js";
+import {Bullet, Enemy} from "./entities.js";
+
+// The enemy archetypes. Each behaves differently, and looks different, so the player can tell them apart at a glance.
+
+// Splits into two smaller copies of itself when destroyed, which themselves split, until they're too small.
+export class Splitter extends Enemy {
+	constructor({x, y, difficulty, generation = 0, ...override}, add_to_world = true) {
+		super({x, y, difficulty}, add_to_world);
+		this.generation = generation;
+		this.size = 32 * Math.pow(0.6, generation);
+		this.hue = 30;
+		this.lightness = 60;
+		this.hp = Math.max(1, Math.ceil(this.hp / (generation + 1) / 2));
+		this.points = Math.round(this.points / (generation + 1) / 2);
+		this.spd *= 1 + generation * 0.5; // The smaller pieces are faster.
+		Object.assign(this, override);
+	}
+	destroyed() {
+		if (this.generation < 2) {
+			const player = game.nearest_player(this);
+			for (const side of [-1, 1]) {
+				const dir = Math.atan2(player.y - this.y, player.x - this.x) + side * TAU / 4;
+				const piece = new Splitter({x: this.x + Math.cos(dir) * this.size, y: this.y + Math.sin(dir) * this.size, difficulty: this.difficulty, generation: this.generation + 1});
+				piece.dir = dir;
+			}
+		}
+	}
+	draw() {
+		super.draw();
+		draw.polygon(this, this.size / 2, this.difficulty + 3);
+	}
+}
+
+// Circles the player, slowly closing in.
+export class Orbiter extends Enemy {
+	constructor({x, y, difficulty, ...override}, add_to_world = true) {
+		super({x, y, difficulty}, add_to_world);
+		this.hue = 180;
+		this.lightness = 60;
+		this.orbit = 160; // The distance from the player the orbiter tries to keep.
+		this.clockwise = game.random.next() < 0.5 ? 1 : -1;
+		this.spd *= 2;
+		Object.assign(this, override);
+	}
+	steer() {
+		this.orbit = Math.max(48, this.orbit - 0.05);
+		const player = game.nearest_player(this);
+		const distance = Math.hypot(player.x - this.x, player.y - this.y);
+		const towards = Math.atan2(player.y - this.y, player.x - this.x);
+		// Head tangentially to the orbit, turning inwards or outwards depending on whether we're outside or inside it.
+		const correction = Math.max(-1, Math.min(1, (distance - this.orbit) / this.orbit));
+		this.dir = towards - this.clockwise * (TAU / 4) * (1 - correction);
+	}
+	draw() {
+		super.draw();
+		context.beginPath();
+		context.arc(this.x * PD, this.y * PD, (this.size + 8) * PD, 0, TAU);
+		context.lineWidth = 1;
+		context.stroke();
+	}
+}
+
+// How long the dasher spends in each state, and which state follows it.
+const DASHER_STATES = {
+	approach: {duration: 2 * SECS, next: "telegraph"},
+	telegraph: {duration: 0.75 * SECS, next: "charge"},
+	charge: {duration: 0.5 * SECS, next: "cooldown"},
+	cooldown: {duration: 1 * SECS, next: "approach"},
+};
+const DASH_SPEED = 8;
+
+// Approaches, stops to take aim, then charges in a straight line.
+export class Dasher extends Enemy {
+	constructor({x, y, difficulty, ...override}, add_to_world = true) {
+		super({x, y, difficulty}, add_to_world);
+		this.hue = 55;
+		this.lightness = 60;
+		this.base_spd = this.spd;
+		this.state = "approach";
+		this.state_time = game.time;
+		Object.assign(this, override);
+	}
+	steer() {
+		if (game.time - this.state_time >= DASHER_STATES[this.state].duration) {
+			this.state = DASHER_STATES[this.state].next;
+			this.state_time = game.time;
+		}
+		switch (this.state) {
+			case "approach":
+				super.steer();
+				this.spd = this.base_spd;
+				break;
+			case "telegraph":
+				super.steer(); // Take aim, but stay still.
+				this.spd = 0;
+				break;
+			case "charge":
+				this.spd = DASH_SPEED; // Keep going in whichever direction we were aiming.
+				break;
+			case "cooldown":
+				this.spd = Math.max(0, this.spd - 0.25);
+				break;
+		}
+	}
+	draw() {
+		super.draw();
+		if (this.state === "telegraph") {
+			// Show where the dasher is about to charge.
+			const length = DASH_SPEED * DASHER_STATES.charge.duration / TIME_STEP;
+			draw.with_alpha(() => {
+				context.beginPath();
+				context.moveTo(this.x * PD, this.y * PD);
+				context.lineTo((this.x + Math.cos(this.dir) * length) * PD, (this.y + Math.sin(this.dir) * length) * PD);
+				context.lineWidth = 2;
+				context.stroke();
+			}, 0.5);
+		}
+	}
+}
+
+// Keeps its distance from the player, strafing and firing projectiles.
+export class Shooter extends Enemy {
+	constructor({x, y, difficulty, ...override}, add_to_world = true) {
+		super({x, y, difficulty}, add_to_world);
+		this.hue = 120;
+		this.lightness = 60;
+		this.range = 220; // The distance the shooter tries to keep from the player.
+		this.strafe = game.random.next() < 0.5 ? 1 : -1;
+		this.firing_interval = 2.5 * SECS;
+		this.last_fired = game.time;
+		Object.assign(this, override);
+	}
+	steer() {
+		const player = game.nearest_player(this);
+		const distance = Math.hypot(player.x - this.x, player.y - this.y);
+		const towards = Math.atan2(player.y - this.y, player.x - this.x);
+		if (distance > this.range * 1.25)
+			this.dir = towards;
+		else if (distance < this.range * 0.75)
+			this.dir = towards + TAU / 2;
+		else this.dir = towards + this.strafe * TAU / 4;
+		// Turn around at the edges of the screen, so that the shooter doesn't strafe offscreen.
+		if (this.x < this.size || this.x > WIDTH - this.size || this.y < this.size || this.y > HEIGHT - this.size)
+			this.strafe = -this.strafe;
+		if (!game.is_over && game.time - this.last_fired >= this.firing_interval) {
+			new Projectile({x: this.x, y: this.y, dir: towards});
+			this.last_fired = game.time;
+		}
+	}
+	draw() {
+		super.draw();
+		// The barrel points at the player.
+		const player = game.nearest_player(this);
+		const towards = Math.atan2(player.y - this.y, player.x - this.x);
+		context.beginPath();
+		context.moveTo(this.x * PD, this.y * PD);
+		context.lineTo((this.x + Math.cos(towards) * this.size) * PD, (this.y + Math.sin(towards) * this.size) * PD);
+		context.stroke();
+	}
+}
+
+// Fired by shooters. Projectiles may be shot down, but aren't worth any points.
+export class Projectile extends Enemy {
+	constructor({x, y, dir, ...override}, add_to_world = true) {
+		super({x, y, difficulty: 0}, add_to_world);
+		this.dir = dir;
+		this.spd = 3;
+		this.size = 10;
+		this.strength = 4;
+		this.hp = 1;
+		this.points = 0;
+		this.hue = 120;
+		this.lightness = 60;
+		Object.assign(this, override);
+	}
+	update() {
+		super.update();
+		if (this.x + this.size < 0 || this.x - this.size >= WIDTH || this.y + this.size < 0 || this.y - this.size >= HEIGHT)
+			game.world.remove(this);
+	}
+	steer() {} // Projectiles fly in a straight line.
+	shape() {
+		return {x: this.x, y: this.y, radius: this.size / 2};
+	}
+	draw() {
+		context.fillStyle = `hsl(${this.hue}, 100%, ${this.lightness}%)`;
+		draw.with_glow(() => {
+			context.beginPath();
+			context.arc(this.x * PD, this.y * PD, this.size / 2 * PD, 0, TAU);
+			context.fill();
+		}, context.fillStyle);
+	}
+}
+
+// Slow and tough, pulling the grid (and the player's bullets) towards itself.
+export class Gravity extends Enemy {
+	constructor({x, y, difficulty, ...override}, add_to_world = true) {
+		super({x, y, difficulty, invert: true}, add_to_world);
+		this.hue = 270;
+		this.lightness = 60;
+		this.size = 40;
+		this.hp *= 2;
+		this.points *= 2;
+		this.spd /= 2;
+		this.pull = 200; // The distance within which bullets are deflected.
+		Object.assign(this, override);
+	}
+	update() {
+		super.update();
+		for (const e of game.world.all(Bullet)) {
+			const distance = Math.hypot(this.x - e.x, this.y - e.y);
+			if (distance < this.pull) {
+				// Turn the bullet towards the gravity well, more strongly the closer it is.
+				const towards = Math.atan2(this.y - e.y, this.x - e.x);
+				const difference = Math.atan2(Math.sin(towards - e.dir), Math.cos(towards - e.dir));
+				e.dir += difference * 0.08 * (1 - distance / this.pull);
+			}
+		}
+	}
+	draw() {
+		super.draw();
+		context.lineWidth = 1;
+		for (let r = 1; r <= 2; ++r) {
+			context.beginPath();
+			context.arc(this.x * PD, this.y * PD, this.size * r / 4 * PD, 0, TAU);
+			context.stroke();
+		}
+	}
+}
+
+// The kinds of enemy that may be spawned by name (e.g. in levels).
+export const ENEMY_TYPES = {enemy: Enemy, splitter: Splitter, orbiter: Orbiter, dasher: Dasher, shooter: Shooter, gravity: Gravity};
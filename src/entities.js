@@ -0,0 +1,369 @@
+import {WIDTH, HEIGHT, TAU, SECS, PLAYER_LIVES, INVULNERABILITY, COLLISION_MARGIN} from "./constants.js";
+import {is_numeric, clamp} from "./util.js";
+import {context, PD, draw, Drawable} from "./draw.js";
+import {FIELDS} from "./fields.js";
+import {polygon_vertices, triangle_vertices, bounds, swept, intersects} from "./geometry.js";
+import {POWERUP_TYPES, draw_powerup_icon} from "./powerups.js";
+import {controls} from "./input.js";
+import {events} from "./events.js";
+import {game} from "./state.js";
+
+const THRUST = 20; // How far enemies are pushed back when they're hit.
+const PLAYER_COLOURS = ["white", "hsl(300, 100%, 75%)"]; // The colour of each player, so that they can be told apart in co-op.
+
+// Entities (i.e. game objects).
+export class Entity extends Drawable {
+	constructor({x, y, dir = 0, spd = 0, dist = 0, field = "radial", fade = false, alpha = 1, destroy = 1/8, ...override}, add_to_world = true) {
+		super();
+		this.x = x;
+		this.y = y;
+		this.dir = dir;
+		this.spd = spd;
+		this.dist = dist; // How much objects distort the grid.
+		this.field = field; // The kind of distortion field the object emits (see `FIELDS`).
+		this.fade = fade; // Whether objects should be deleted after a time (specifically: when they are no longer distorting the grid).
+		this.alpha = alpha; // The alpha of entities. If this reaches 0, the entity is destroyed.
+		this.destroy = destroy; // How quickly to destroy the object.
+		Object.assign(this, override);
+		console.assert(is_numeric(this.x, this.y, this.dir, this.spd, this.dist) && this.field in FIELDS, "An entity was created with invalid properties: %o", this); // This catches a lot of silly mistakes due to JavaScript's weak typing model.
+		if (add_to_world)
+			game.world.spawn(this);
+	}
+	update() {
+		super.update();
+		// Move the entity.
+		const spd = this.speed();
+		this.x += Math.cos(this.dir) * spd;
+		this.y += Math.sin(this.dir) * spd;
+		const size = Math.max(0, this.dist);
+		const offscreen = this.x + size < 0 || this.x - size >= WIDTH || this.y + size < 0 || this.y - size >= HEIGHT;
+		if (this.fade || (offscreen && (this instanceof Powerup)))
+			this.dist -= this.destroy * (offscreen ? 4 : 1);
+		// Remove objects if they no longer distort the grid, or if they are completely transparent.
+		if ((this.fade && this.dist <= 0) || this.alpha <= 0)
+			game.world.remove(this);
+	}
+	// Called when the entity is removed from the world, for whatever reason.
+	removed() {}
+	// How far the entity actually moves each time step, which may differ from `spd` (e.g. when time is slowed).
+	speed() {
+		return this.spd;
+	}
+	clean() {
+		this.dist = Math.max(0, this.dist);
+		this.alpha = Math.max(0, this.alpha);
+	}
+}
+
+export class Collidable extends Entity {
+	constructor({x, y, ...override}, add_to_world) {
+		super({x, y}, add_to_world);
+		this.pierced = null; // If the object passes through enemies, the enemies it has already hit.
+		this.volley = null; // The volley of bullets the object was fired in, if any.
+		this.owner = null; // The player who fired the object, if any.
+		Object.assign(this, override);
+	}
+	update() {
+		const from = {x: this.x, y: this.y};
+		super.update();
+		if (!game.world.contains(this))
+			return;
+		// Find the first enemy the object hit as it moved.
+		const area = swept(this.shape(), from.x - this.x, from.y - this.y);
+		let e = null;
+		for (const other of game.enemy_grid.query(bounds(area), COLLISION_MARGIN)) {
+			if (game.world.contains(other) && !this.ignores(other) && intersects(area, other.shape()) && (e === null || Math.hypot(other.x - from.x, other.y - from.y) < Math.hypot(e.x - from.x, e.y - from.y)))
+				e = other;
+		}
+		if (e !== null) {
+			if (this.volley !== null)
+				++this.volley.hits;
+			if (!(e instanceof Powerup)) {
+				if (this instanceof Player)
+					this.hit(e);
+				// If the object hits an enemy (that's not a powerup), destroy the object, unless it passes through enemies, or it's the player and they have lives left.
+				if (this.pierced !== null)
+					this.pierced.add(e);
+				else if (!(this instanceof Player) || this.lives === 0)
+					game.world.remove(this);
+			}
+			e.recoil = 1; // Make the enemy animate when hit.
+			--e.hp;
+			// Push the enemy back when hit, away from the player who hit it.
+			const player = this.owner !== null ? this.owner : this;
+			const thrust = THRUST / e.mass;
+			const direct_dir = Math.atan2(e.y - player.y, e.x - player.x);
+			e.x += Math.cos(direct_dir) * thrust;
+			e.y += Math.sin(direct_dir) * thrust;
+			if (!(e instanceof Powerup))
+				events.emit("enemy_hit", {enemy: e, by: this});
+			if (e.hp === 0) {
+				// Destroy the enemy.
+				game.world.remove(e);
+				// If the player hits a powerup, they pick it up. Otherwise, it's simply destroyed.
+				if (e instanceof Powerup)
+					events.emit(this instanceof Player ? "powerup_collected" : "powerup_destroyed", {powerup: e, by: this});
+				else {
+					events.emit("enemy_killed", {enemy: e, by: this, player});
+					e.destroyed();
+				}
+			}
+		}
+	}
+	// The shape the object collides with.
+	shape() {
+		return {x: this.x, y: this.y, radius: 0};
+	}
+	// Whether the object passes straight through an enemy, rather than colliding with it.
+	ignores(e) {
+		return this.pierced !== null && this.pierced.has(e);
+	}
+}
+
+// Each player has their own lives, score, combo and powerups.
+export class Player extends Collidable {
+	constructor({x, y, dir, index = 0, ...override}, add_to_world) {
+		super({x, y, dir}, add_to_world);
+		this.index = index; // Which player this is (0 or 1, in co-op), which determines their controls and colour.
+		this.colour = PLAYER_COLOURS[index];
+		this.lives = PLAYER_LIVES;
+		this.invulnerable_until = 0; // The time until which the player can't be hit again.
+		this.knockback = {dir: 0, spd: 0}; // The player is knocked back when hit, separately from moving.
+		this.score = 0;
+		this.score_drawn = 0; // We have a separate variable for the drawn score to animate it.
+		this.score_breakdown = {enemies: 0, combo: 0, multi_kill: 0, point_blank: 0, powerups: 0}; // Where the score came from, which is shown once the game is over.
+		this.combo = {count: 0, last_kill: 0, best: 0}; // Kills in quick succession build up a combo, which multiplies the points they're worth.
+		this.powerups = new Map(); // The powerups the player has, by type: when each `expires`, the `length` of its timer, and how many `charges` it has left.
+		this.firing_timeout = 0; // There's a limit on how frequently the player may fire.
+		Object.assign(this, override);
+	}
+	update() {
+		super.update();
+		const prev = {x: this.x, y: this.y};
+		this.x += Math.cos(this.knockback.dir) * this.knockback.spd;
+		this.y += Math.sin(this.knockback.dir) * this.knockback.spd;
+		this.knockback.spd *= 0.85;
+		// Move the player (e.g. with WASD).
+		const {move} = controls.players[this.index];
+		this.x += move.x * game.rules.player_speed;
+		this.y += move.y * game.rules.player_speed;
+		[this.x, this.y] = [clamp(0, this.x, WIDTH), clamp(0, this.y, HEIGHT)];
+		// Distort the grid as the player moves.
+		if (Math.abs(this.x - prev.x) !== 0 || Math.abs(this.y - prev.y) !== 0)
+			this.dist = Math.min(this.dist + 0.5, game.rules.player_speed * 2);
+	}
+	shape() {
+		return {vertices: triangle_vertices(this, 16, 1.5)};
+	}
+	is_invulnerable() {
+		return game.time < this.invulnerable_until;
+	}
+	// The player passes through enemies while they're invulnerable (and once they've been destroyed, or in god mode).
+	ignores(e) {
+		return !(e instanceof Powerup) && (this.is_invulnerable() || game.is_over > 0 || game.god_mode);
+	}
+	// Called when the player collides with an enemy. The player loses a life (unless a powerup protects them), and is knocked back (in the opposite direction to the enemy). The game is over once every player has been destroyed.
+	hit(e) {
+		const outcome = game.absorb_hit(this) ? "shielded" : --this.lives > 0 ? "hurt" : "destroyed";
+		this.invulnerable_until = game.time + INVULNERABILITY * SECS;
+		this.knockback = {dir: Math.atan2(e.y - this.y, e.x - this.x) + TAU / 2, spd: THRUST / 2};
+		events.emit("player_hit", {player: this, enemy: e, outcome});
+		if (outcome === "destroyed" && game.players.every(player => player.lives === 0))
+			events.emit("game_over", {score: game.score, reason: "destroyed"});
+	}
+	draw() {
+		// The player flickers while they're invulnerable.
+		const alpha = this.is_invulnerable() && Math.floor(game.time / (SECS / 10)) % 2 === 0 ? 0.25 : 1;
+		context.strokeStyle = this.colour;
+		context.lineWidth = 4;
+		draw.outline(this.shape().vertices);
+		draw.with_alpha(() => draw.with_glow(() => context.stroke(), context.strokeStyle), alpha);
+		if (this.powerups.has("shield")) {
+			const shield = POWERUP_TYPES.shield;
+			context.strokeStyle = `hsl(${shield.hue}, 100%, ${shield.lightness}%)`;
+			context.lineWidth = 2;
+			draw.with_alpha(() => draw.polygon({x: this.x, y: this.y, rotate: game.time / 1000 * TAU / 8}, 28, 6), 0.6);
+		}
+	}
+	shoot() {
+		if (!game.at_title_screen && !game.is_over) {
+			const bullets = game.apply_powerups("bullets", 1, [this]);
+			const spread = TAU / 16;
+			const volley = {player: this, bullets, hits: 0, kills: 0}; // The bullets fired together, which share any multi-kill bonus (or miss together).
+			for (let b = 0; b < bullets; ++b)
+				game.apply_powerups("bullet", new Bullet({x: this.x, y: this.y, dir: this.dir + (bullets > 1 ? b / (bullets - 1) * spread - spread / 2 : 0), spd: 10, dist: 16, volley, owner: this}), [this]);
+			events.emit("player_fired", {player: this, volley});
+		}
+	}
+}
+
+export class Bullet extends Collidable {
+	constructor({x, y, dir, spd, dist, ...override}, add_to_world) {
+		super({x, y, dir, spd, dist: dist / 8, field: "wake", fade: true}, add_to_world);
+		this.dist_max = dist;
+		Object.assign(this, override);
+	}
+	update() {
+		super.update();
+		// We fade in the distortion for bullets, so the grid doesn't jump.
+		if (this.dist < this.dist_max) {
+			this.dist = Math.min(this.dist_max, this.dist + 2);
+			if (this.dist === this.dist_max)
+				this.dist_max = 0;
+		}
+	}
+	// If every bullet in a volley is gone without hitting anything, the player missed.
+	removed() {
+		if (this.volley !== null && --this.volley.bullets === 0 && this.volley.hits === 0)
+			events.emit("volley_missed", {volley: this.volley});
+	}
+	shape() {
+		return {vertices: triangle_vertices(this, 8, 1.5)};
+	}
+	draw() {
+		context.strokeStyle = this.owner !== null ? this.owner.colour : "white";
+		context.lineWidth = 4;
+		draw.outline(this.shape().vertices);
+		draw.with_glow(() => context.stroke(), context.strokeStyle);
+	}
+}
+
+// The basic enemy, which simply heads straight for the (nearest) player. Other kinds of enemy (see `enemies.js`) behave differently by overriding `steer`, `destroyed` and `draw`.
+export class Enemy extends Entity {
+	constructor({x, y, difficulty, ...override}, add_to_world = true) {
+		const player = game.nearest_player({x, y});
+		super({x, y, dir: Math.atan2(player.y - y, player.x - x), spd: 0.5 * (difficulty + 3) / 3}, add_to_world);
+		this.difficulty = difficulty;
+		this.size = 32; // The radius of the enemy.
+		this.hue = 0; // The colour of the enemy. Enemies with a lightness of 100% are white, flashing red when hit.
+		this.lightness = 100;
+		this.strength = (difficulty + 3) * 4; // How much the enemy distorts the grid, once it's faded in.
+		this.mass = 1; // Heavier enemies are pushed back less when hit.
+		this.recoil = 0;
+		this.hp = Math.ceil(Math.pow(difficulty + 3, 1.5));
+		this.rotate = game.random.next() * TAU * (game.random.next() > 0.5 ? 1 : -1);
+		this.points = 1000 * (difficulty + 1);
+		Object.assign(this, override);
+	}
+	update() {
+		super.update();
+		this.recoil = Math.max(this.recoil - 0.05, 0); // Decrease the recoil over time, so the effect is short-lived.
+		// We fade in the distortion for bullets, so the grid doesn't jump.
+		if (this.dist < this.strength)
+			this.dist = Math.min(this.strength, this.dist + 0.5);
+		this.steer();
+		if (game.is_over)
+			this.spd = 0;
+		this.rotate += TAU / 60 / 8 * (Math.sign(this.rotate) || 1);
+	}
+	// Each time step, decide on the direction and speed of the enemy.
+	steer() {
+		const player = game.nearest_player(this);
+		this.dir = Math.atan2(player.y - this.y, player.x - this.x); // Always move towards the player.
+	}
+	// Enemies are slowed down by the slow-time powerup.
+	speed() {
+		return game.apply_powerups("enemy_speed", this.spd);
+	}
+	// Called when the enemy has been destroyed (after it has been removed from the world).
+	destroyed() {}
+	// The polygon the enemy is drawn as, and collides with. It shrinks a little when the enemy is hit.
+	outline() {
+		return {radius: this.size - this.recoil * 8, sides: this.difficulty + 3};
+	}
+	shape() {
+		const {radius, sides} = this.outline();
+		return {vertices: polygon_vertices(this, radius, sides)};
+	}
+	draw() {
+		const {radius, sides} = this.outline();
+		context.strokeStyle = `hsl(${this.hue}, 100%, ${(1 - this.recoil / 2) * this.lightness}%)`; // Flash when hit.
+		context.lineWidth = 4;
+		draw.polygon(this, radius, sides);
+		draw.with_glow(() => context.stroke(), context.strokeStyle);
+	}
+}
+
+export class Powerup extends Entity {
+	constructor({x, y, powerup, ...override}, add_to_world = true) {
+		super({x, y, dir: game.random.next() * TAU, spd: 0.5, hp: 1, points: 2500, difficulty: 3}, add_to_world);
+		this.alpha = 0.1;
+		this.size = 24; // Powerups are easier to pick up than they look.
+		this.mass = 1;
+		this.powerup = powerup;
+		Object.assign(this, override);
+	}
+	update() {
+		super.update();
+		this.alpha = Math.min(1, this.alpha + 0.05); // Fade the powerup in, so it looks natural.
+	}
+	shape() {
+		return {x: this.x, y: this.y, radius: this.size};
+	}
+	draw() {
+		// The powerup's icon, in a ring.
+		draw_powerup_icon(this.powerup, this, 8, this.alpha);
+		draw.with_alpha(() => draw.with_glow(() => {
+			context.beginPath();
+			context.lineWidth = 3;
+			context.arc(this.x * PD, this.y * PD, 16 * PD, 0, TAU);
+			context.stroke();
+		}, context.strokeStyle), this.alpha);
+	}
+}
+
+export class Particle extends Entity {
+	constructor({x, y, dir, dist, size, ...override}, add_to_world) {
+		super({x, y, dir, dist, fade: true}, add_to_world);
+		this.size = size;
+		Object.assign(this, override);
+	}
+	draw() {
+		const size = this.dist * this.size;
+		context.fillStyle = "white";
+		draw.with_glow(() => context.fillRect((this.x - size) * PD, (this.y - size) * PD, size * PD, size * PD), context.fillStyle);
+	}
+}
+
+export class ScoreDelta extends Entity {
+	constructor({x, y, points, multiplier = 1, label = null, ...override}, add_to_world) {
+		super({x, y, spd: 4, dir: -TAU / 4});
+		this.points = points;
+		this.multiplier = multiplier; // The combo multiplier the points were awarded with.
+		this.label = label; // Any bonus the points include.
+		Object.assign(this, override);
+	}
+	update() {
+		this.alpha -= 0.025;
+		super.update();
+	}
+	draw() {
+		context.fillStyle = "white";
+		context.globalAlpha = this.alpha;
+		draw.with_glow(() => draw.text(this, `+${this.points}`, 18, draw.TEXT_CENTRED), context.fillStyle);
+		if (this.multiplier > 1)
+			draw.with_glow(() => draw.text({x: this.x, y: this.y - 16}, `×${this.multiplier}`, 14, draw.TEXT_CENTRED), context.fillStyle, 8);
+		if (this.label !== null)
+			draw.with_glow(() => draw.text({x: this.x, y: this.y + 16}, this.label, 12, draw.TEXT_CENTRED), context.fillStyle, 8);
+		context.globalAlpha = 1;
+	}
+}
+
+export class Displacement extends Entity {
+	constructor({x, y, dist, invert, destroy, ...override}, add_to_world) {
+		super({x, y, dist, invert, destroy, fade: true});
+		Object.assign(this, override);
+	}
+}
+
+// An expanding ring of distortion.
+export class Shockwave extends Displacement {
+	constructor({x, y, dist, invert, destroy, ring_radius = 0, ring_speed = 8, ...override}, add_to_world) {
+		super({x, y, dist, invert, destroy, field: "ring", ring_radius, ring_speed}, add_to_world);
+		Object.assign(this, override);
+	}
+	update() {
+		this.ring_radius += this.ring_speed;
+		super.update();
+	}
+}
@@ -0,0 +1,53 @@
+// The things that happen during a game, which other parts of the game (scoring, effects, audio, and so on) react to, without the code where they happen having to know about them. Each type of event carries the listed properties.
+export const EVENT_TYPES = {
+	enemy_hit: ["enemy", "by"], // An enemy (other than a powerup) was hit by the player or a bullet, whether or not it was destroyed.
+	enemy_killed: ["enemy", "by", "player"], // An enemy was destroyed, by a player, a bullet, or `null` for a bomb. The player is the one it counts towards.
+	powerup_collected: ["powerup", "by"], // The player touched a powerup.
+	powerup_destroyed: ["powerup", "by"], // A bullet hit a powerup, destroying it.
+	player_fired: ["player", "volley"],
+	volley_missed: ["volley"], // Every bullet in a volley left the screen without hitting anything.
+	player_hit: ["player", "enemy", "outcome"], // The outcome is "shielded", "hurt" (i.e. the player lost a life) or "destroyed".
+	bomb_detonated: ["player"],
+	difficulty_up: ["difficulty"],
+	game_over: ["score", "reason"], // The reason is "destroyed" (every player has been destroyed), "time_up" (the mode's time limit was reached) or "finished" (the player chose to finish).
+};
+
+export const events = {
+	listeners: new Map(), // The listeners for each type of event, in the order they were added, as `{listener, isolated}`.
+	// Call `listener` with the properties of each event of the given type, from now on. Returns a function that stops listening. This is for the game's own reactions (scoring, effects, audio, and so on): if one of them goes wrong, the error isn't caught, as carrying on with the event half-handled would leave the game in an inconsistent state.
+	on(type, listener) {
+		return this.add(type, listener, false);
+	},
+	// Like `on`, but for code outside the game (e.g. mods), which shouldn't be able to stop the game: if the listener goes wrong, the error is reported, and the event carries on being handled.
+	hook(type, listener) {
+		return this.add(type, listener, true);
+	},
+	add(type, listener, isolated) {
+		console.assert(type in EVENT_TYPES, "Listening for an unknown event type: %s", type);
+		if (!this.listeners.has(type))
+			this.listeners.set(type, []);
+		this.listeners.get(type).push({listener, isolated});
+		return () => this.off(type, listener);
+	},
+	off(type, listener) {
+		const listeners = this.listeners.get(type) || [];
+		const index = listeners.findIndex(entry => entry.listener === listener);
+		if (index !== -1)
+			listeners.splice(index, 1);
+	},
+	// Tell every listener that an event has happened. Listeners are called immediately, so the event has been fully handled once this returns.
+	emit(type, properties) {
+		console.assert(type in EVENT_TYPES && EVENT_TYPES[type].every(property => property in properties), "An invalid event was emitted: %s %o", type, properties);
+		for (const {listener, isolated} of [...(this.listeners.get(type) || [])]) {
+			if (!isolated) {
+				listener(properties);
+				continue;
+			}
+			try {
+				listener(properties);
+			} catch (error) {
+				console.error(`A listener for the "${type}" event failed.`, error);
+			}
+		}
+	},
+};
@@ -0,0 +1,108 @@
+// The kinds of distortion field a source may emit, named by the source's `field` property. Each field determines how far its influence extends (`radius`, around the source, or around a point `behind` it), and how it pushes a grid point at a given offset from it (`push`, which sets `v` to the direction the point is pushed in, a unit vector or zero, and returns how much the strength of the source has fallen off there). Distances are in pixels, and fields scale with the size of the grid's cells. An `invert`ed source pushes points in the opposite direction. Fields that depend on the direction `dir` the source faces are also given `axis`, the unit vector in that direction.
+
+// How far (in pixels) a single source may displace a point and still be left out. The distortion falls off quickly, so every source only has a limited radius of influence, beyond which we ignore it. What the sources leave out adds up, though (mostly cancelling out, as they push in different directions), so this is small enough that the total stays within a quarter of a pixel even with a thousand sources, which `benchmark.js` checks.
+export const PRECISION = 1 / 512;
+
+// The distortion from a radial source falls off by this factor for every cell's distance from it.
+const FALLOFF = 1.5;
+// The exponential falloff is looked up in a table (interpolating between entries), rather than computed for every grid point, with this many entries per cell of distance.
+const FALLOFF_RESOLUTION = 128;
+let falloff_table = new Float64Array(0);
+
+// The exponential falloff at a given distance, i.e. `FALLOFF` to the power of `-distance / cell_size`.
+function decay(distance, cell_size) {
+	const position = distance / cell_size * FALLOFF_RESOLUTION;
+	const index = Math.floor(position);
+	if (index + 1 >= falloff_table.length) {
+		falloff_table = new Float64Array(Math.max(index + 2, falloff_table.length * 2));
+		for (let i = 0; i < falloff_table.length; ++i)
+			falloff_table[i] = Math.pow(FALLOFF, -i / FALLOFF_RESOLUTION);
+	}
+	return falloff_table[index] + (falloff_table[index + 1] - falloff_table[index]) * (position - index);
+}
+
+// The distance at which the exponential falloff makes a source's displacement smaller than `precision`.
+function decay_radius(o, cell_size, precision) {
+	return cell_size * Math.log(o.dist / precision) / Math.log(FALLOFF);
+}
+
+// Sets `v` to the unit vector pointing directly away from the source. Points directly beneath a source are pushed to the right.
+function outwards(dx, dy, distance, v) {
+	if (distance === 0) {
+		v.x = 1;
+		v.y = 0;
+	} else {
+		v.x = dx / distance;
+		v.y = dy / distance;
+	}
+}
+
+// The vortex's falloff, scaled so that the swirl is as strong as a radial source's push at its strongest (which is `1 / Math.log(FALLOFF)` cells from the source).
+const SWIRL = Math.E * Math.log(FALLOFF);
+
+export const FIELDS = {
+	// Pushes points directly away from the source.
+	radial: {
+		radius: decay_radius,
+		push(o, dx, dy, distance, cell_size, axis, v) {
+			outwards(dx, dy, distance, v);
+			return decay(distance, cell_size);
+		},
+	},
+	// Swirls points around the source. The source itself is the calm eye of the vortex, and the swirl is strongest a couple of cells away.
+	vortex: {
+		// The swirl falls off more slowly than `decay`, so the radius is found by iterating towards the distance (in cells) beyond the strongest swirl at which it is `precision`, which converges quickly there.
+		radius(o, cell_size, precision) {
+			if (!(o.dist > precision))
+				return 0;
+			let cells = Math.max(1 / Math.log(FALLOFF), decay_radius(o, cell_size, precision) / cell_size);
+			for (let i = 0; i < 8; ++i)
+				cells = Math.max(1 / Math.log(FALLOFF), Math.log(o.dist * SWIRL * cells / precision) / Math.log(FALLOFF));
+			return cells * cell_size;
+		},
+		push(o, dx, dy, distance, cell_size, axis, v) {
+			if (distance === 0) {
+				v.x = 0;
+				v.y = 0;
+				return 0;
+			}
+			v.x = -dy / distance;
+			v.y = dx / distance;
+			return distance / cell_size * decay(distance, cell_size) * SWIRL;
+		},
+	},
+	// Pushes points on either side of the line through the source (in the direction `dir`) in opposite directions along it.
+	shear: {
+		radius: decay_radius,
+		push(o, dx, dy, distance, cell_size, axis, v) {
+			const side = Math.sign(axis.x * dy - axis.y * dx);
+			v.x = axis.x * side;
+			v.y = axis.y * side;
+			return decay(distance, cell_size);
+		},
+	},
+	// Pushes points away from a ring around the source, of radius `ring_radius`, so that a growing ring looks like a shockwave.
+	ring: {
+		radius: (o, cell_size, precision) => o.ring_radius + cell_size * Math.sqrt(Math.log(o.dist / precision)),
+		push(o, dx, dy, distance, cell_size, axis, v) {
+			outwards(dx, dy, distance, v);
+			const offset = (distance - o.ring_radius) / cell_size;
+			return Math.exp(-offset * offset);
+		},
+	},
+	// Parts points in a long trail behind the source (which moves in the direction `dir`), like the wake behind a boat.
+	wake: {
+		// The wake's influence reaches three times as far behind the source as a radial source's would, but only half as far in front of it and to either side, which this circle (centred behind the source) covers.
+		radius: (o, cell_size, precision) => decay_radius(o, cell_size, precision) * 7 / 4,
+		behind: (o, cell_size, precision) => decay_radius(o, cell_size, precision) * 5 / 4,
+		push(o, dx, dy, distance, cell_size, axis, v) {
+			const behind = -(dx * axis.x + dy * axis.y);
+			const across = dy * axis.x - dx * axis.y;
+			const side = across < 0 ? -1 : 1;
+			v.x = -axis.y * side;
+			v.y = axis.x * side;
+			// The wake stretches out a long way behind the source, but not in front of it, and is narrow.
+			return decay((behind > 0 ? behind / 3 : -behind * 2) + Math.abs(across) * 2, cell_size);
+		},
+	},
+};
@@ -0,0 +1,724 @@
+import {WIDTH, HEIGHT, TAU, SECS, TIME_STEP, COMBO_WINDOW, COMBO_STEP, MAX_MULTIPLIER, POINT_BLANK, POINT_BLANK_BONUS, MULTI_KILL_BONUS, COLLISION_CELL_SIZE, BOUNDARY, GRID_MODE, GRID_STIFFNESS, GRID_ANCHORING, GRID_DAMPING} from "./constants.js";
+import {is_numeric, Random} from "./util.js";
+import {context, PD, draw} from "./draw.js";
+import {keys, cursor, controls, touch} from "./input.js";
+import {controls_screen} from "./controls_screen.js";
+import {settings} from "./settings.js";
+import {settings_screen} from "./settings_screen.js";
+import {audio} from "./audio.js";
+import {events} from "./events.js";
+import {game, set_game} from "./state.js";
+import {Grid} from "./grid.js";
+import {Player, Enemy, Powerup, Particle, ScoreDelta} from "./entities.js";
+import {ENEMY_TYPES, Projectile} from "./enemies.js";
+import {Boss, BOSS_PHASES} from "./boss.js";
+import {POWERUP_TYPES, draw_powerup_icon} from "./powerups.js";
+import {MODES, daily_seed} from "./modes.js";
+import {high_scores} from "./high_scores.js";
+import {debug} from "./debug.js";
+import {WaveRunner} from "./waves.js";
+import {SpatialGrid} from "./broadphase.js";
+import {World} from "./world.js";
+import "./effects.js"; // The visual effects, which only need to be loaded to start reacting to events.
+
+const RECORDING_VERSION = 10; // This must be increased whenever the format of recordings, or the way collisions work or entities are updated, changes, as old recordings can't be replayed.
+
+export class Game {
+	constructor({seed, level, mode = "endless", rules = settings.gameplay(), date = new Date().toISOString().slice(0, 10)}) {
+		this.random = new Random(seed); // Every random choice the game makes comes from here.
+		this.spawn_random = this.random; // Where enemies and powerups spawn comes from here. In the daily challenge, this is seeded by the date instead, so that the enemies spawn in the same way whatever the player does.
+		this.level = level; // The level being played, which determines when enemies spawn (see `parse_level`).
+		this.mode = mode; // The mode being played (see `MODES`). On the title screen, this is the mode that's selected.
+		this.mode_state = null; // Whatever the mode keeps track of during the run.
+		this.rules = rules; // The gameplay settings the run is played with (see `OPTIONS`).
+		this.date = date; // The day the game was started on (in UTC), which determines the daily challenge.
+		this.waves = null;
+		this.time = 0; // The simulated time (in milliseconds), which only advances while the game is not paused.
+		this.recording = {version: RECORDING_VERSION, seed: this.random.seed, level, mode, rules, date, frames: [], commands: []}; // The actions for each time step (and the debug commands run, with the time step they were run at), from which the run can be replayed.
+		this.replaying = null; // The recording being replayed, if any.
+		this.replayed = false; // Whether the run began as a replay, in which case it doesn't count towards the high scores.
+		this.frame = 0; // The current time step.
+		this.commands = []; // The debug commands waiting to be run at the start of the next time step (see `COMMANDS`).
+		this.debugged = false; // Whether any debug commands have been run, in which case the run doesn't count towards the high scores either.
+		this.god_mode = false; // Whether the players pass straight through enemies (which may be turned on from the debug console).
+		this.grid = this.create_grid(); // Every entity distorts the grid.
+		this.world = new World(this.grid);
+		this.enemy_grid = new SpatialGrid(COLLISION_CELL_SIZE); // The enemies and powerups (i.e. whatever the player and their bullets may hit), by where they are, so that collisions can be found quickly.
+		this.players = []; // One player, or two in co-op.
+		this.at_title_screen = true; // Whether to display the initial title screen.
+		this.start_time = 0;
+		this.is_over = 0; // Values from 0 to 1 to transition in the "GAME OVER" screen.
+		this.over_reason = null; // Why the run ended: see the "game_over" event.
+		this.is_paused = false;
+		this.scored = false; // Whether the run has been considered for the high score table yet (which happens once the game is over).
+		this.initials = null; // While the player is entering their initials for the high score table, the letters they've entered so far.
+		this.rank = -1; // Where the run placed in the high score table, if it did.
+		this.difficulty = level.difficulty.start; // Corresponds to the sides of the shapes.
+		this.boss = null; // The boss currently being fought, if any.
+		this.screen_shakes = [];
+		this.screen_shake = {x: 0, y: 0, mag: 0}; // The screen shake offset for the current time step.
+	}
+	// The grid, at the density chosen in the settings.
+	create_grid() {
+		return new Grid({
+			width: WIDTH,
+			height: HEIGHT,
+			cell_size: settings.get("cell_size"),
+			boundary: BOUNDARY,
+			// The grid fades from red around the player (or between the players, in co-op) to blue at the edges of the screen.
+			colour: (context, PD) => {
+				const players = this.players.filter(player => player.lives > 0);
+				const centre = players.length > 0 ? {x: players.reduce((x, player) => x + player.x, 0) / players.length, y: players.reduce((y, player) => y + player.y, 0) / players.length} : this.players[0];
+				const gradient = context.createRadialGradient(centre.x * PD, centre.y * PD, 0, centre.x * PD, centre.y * PD, Math.hypot(WIDTH, HEIGHT) * PD);
+				gradient.addColorStop(0, "red");
+				gradient.addColorStop(1, "blue");
+				return gradient;
+			},
+			mode: GRID_MODE,
+			stiffness: GRID_STIFFNESS,
+			anchoring: GRID_ANCHORING,
+			damping: GRID_DAMPING,
+		});
+	}
+	// Replace the grid with a new one (e.g. once the density of the grid has been changed), which is distorted by the same entities.
+	rebuild_grid() {
+		const grid = this.create_grid();
+		grid.mode = this.grid.mode;
+		for (const source of this.grid.sources)
+			grid.add_source(source);
+		this.grid = this.world.grid = grid;
+	}
+	initialise() {
+		audio.resume(); // In case the previous game was paused.
+		// In co-op, the players start side by side.
+		for (let index = 0; index < this.rules.players; ++index)
+			this.players.push(new Player({x: WIDTH / 2 + (index - (this.rules.players - 1) / 2) * 120, y: HEIGHT / 2 - 60, dir: TAU / 4, index}));
+	}
+	// The high score table the run counts towards, or `null` if the mode doesn't have any. Each mode has its own tables for each level, as do co-op runs, and each day's daily challenge.
+	get scores_table() {
+		const {table, daily} = MODES[this.mode];
+		if (table === null)
+			return null;
+		return [this.level.name, table, daily ? this.date : "", this.rules.players > 1 ? "co-op" : ""].filter(part => part !== "").join(" ");
+	}
+	// The total score of every player.
+	get score() {
+		return this.players.reduce((score, player) => score + player.score, 0);
+	}
+	// The player nearest to `o`, who enemies head for. Players who have been destroyed are ignored, unless every player has been.
+	nearest_player(o) {
+		const players = this.players.filter(player => player.lives > 0);
+		return (players.length > 0 ? players : this.players).reduce((nearest, player) => Math.hypot(player.x - o.x, player.y - o.y) < Math.hypot(nearest.x - o.x, nearest.y - o.y) ? player : nearest);
+	}
+	// Start the gameplay in the selected mode (following the title screen).
+	begin() {
+		const mode = MODES[this.mode];
+		this.at_title_screen = false;
+		this.start_time = this.time;
+		if (mode.daily)
+			this.spawn_random = new Random(daily_seed(this.date));
+		if (mode.enemies)
+			this.waves = new WaveRunner(this.level, this.time, mode.daily);
+		for (const player of this.players)
+			player.lives = mode.lives;
+		this.mode_state = "start" in mode ? mode.start() : null;
+	}
+	// Each time step, perform actions.
+	update() {
+		controls.poll(this.players);
+		// The controls screen may be opened from the title screen, and the settings screen from the title screen or the pause screen. The game doesn't advance while either is open.
+		if (controls_screen.is_open)
+			controls_screen.update();
+		else if (settings_screen.is_open)
+			settings_screen.update();
+		else if (this.at_title_screen && !this.replaying && controls.is_pressed("controls"))
+			controls_screen.open();
+		else if ((this.at_title_screen && !this.replaying || this.is_paused) && controls.is_pressed("settings"))
+			settings_screen.open();
+		else {
+			// Pausing / unpausing.
+			if (this.is_paused) {
+				if (controls.is_pressed("fire") || controls.is_pressed("pause"))
+					this.resume();
+			} else if (controls.is_pressed("pause"))
+				this.pause();
+			// While the game is paused, it may be advanced a single time step at a time.
+			if (!this.is_paused || controls.is_pressed("step"))
+				this.step();
+		}
+		// Keep track of how long keys / the mouse has been held.
+		for (const [key, value] of keys.held.entries())
+			keys.held.set(key, value + 1);
+		if (cursor.held)
+			++cursor.held;
+		audio.update();
+	}
+	// Advance the simulation by one time step.
+	step() {
+		// Once the game is over, the input no longer affects the run, so there's no need to record it.
+		if (!this.is_over) {
+			this.record_input();
+			this.run_commands();
+		}
+		++this.frame;
+		this.time += TIME_STEP;
+		const now = this.time;
+		for (const player of this.players) {
+			const {aim} = controls.players[player.index];
+			if (aim.y !== player.y || aim.x !== player.x)
+				player.dir = Math.atan2(aim.y - player.y, aim.x - player.x);
+		}
+		// On the title screen, the mode may be chosen with up and down.
+		if (this.at_title_screen) {
+			const modes = Object.keys(MODES);
+			const step = controls.is_pressed("down") - controls.is_pressed("up");
+			this.mode = modes[(modes.indexOf(this.mode) + step + modes.length) % modes.length];
+		}
+		// Clicking.
+		if (controls.is_pressed("fire")) {
+			if (this.at_title_screen)
+				this.begin();
+			else if (this.is_over >= 1 && this.initials === null)
+				this.restart();
+		}
+		// Firing. Only the first player fires with the "fire" action: the second fires while they're aiming. Players who have been destroyed can't fire, and there's nothing to fire at in modes without enemies.
+		for (const player of this.players) {
+			const firing = this.rules.automatic_firing || controls.players[player.index].auto_fire || (player.index === 0 && controls.is_pressed("fire"));
+			if (firing && player.lives > 0 && MODES[this.mode].enemies && !this.is_over && now - player.firing_timeout > this.apply_powerups("firing_rate", this.rules.firing_rate, [player]) * SECS) {
+				player.shoot();
+				player.firing_timeout = now;
+			}
+		}
+		// Replaying the run, once it's over.
+		if (this.is_over && !this.replaying && this.initials === null && controls.is_pressed("replay"))
+			Game.replay(this.recording);
+		if (!this.at_title_screen && !this.is_over)
+			this.update_mode();
+		this.update_screen_shake();
+		// Update all the objects in the game.
+		this.enemy_grid.rebuild(this.world.all(Enemy, Powerup));
+		this.world.update();
+		this.update_powerups();
+		this.update_combo();
+		// Update the grid distortion effect.
+		this.grid.update();
+		// Animate the HUD.
+		for (const player of this.players) {
+			if (player.score_drawn < player.score)
+				player.score_drawn = Math.min(player.score, player.score_drawn + 100);
+		}
+		if (this.is_over)
+			this.is_over = Math.min(1, this.is_over + 0.01);
+		// Once the game is over, a high enough score may be entered into the high score table.
+		if (this.is_over >= 1 && !this.scored) {
+			this.scored = true;
+			if (!this.replayed && !this.debugged && this.scores_table !== null && high_scores.qualifies(this.scores_table, this.score))
+				this.initials = "";
+		}
+		if (this.initials !== null)
+			this.enter_initials();
+	}
+	// Each time step of the run, spawn enemies and powerups (if the mode has them), and end the run once its time is up.
+	update_mode() {
+		const mode = MODES[this.mode];
+		if (this.waves !== null)
+			this.waves.update();
+		if ("update" in mode)
+			mode.update(this.mode_state);
+		if (mode.time_limit !== null && !this.is_over && this.time - this.start_time >= mode.time_limit * SECS)
+			events.emit("game_over", {score: this.score, reason: "time_up"});
+	}
+	// Each time step, add any letters that have been typed to the player's initials, until they confirm them. Without a keyboard, the letters may be chosen arcade-style instead, by moving up and down through the alphabet, and right to the next letter.
+	enter_initials() {
+		let typed = false;
+		for (let letter = 65; letter <= 90; ++letter) {
+			if (keys.is_pressed(keys.name(letter))) {
+				typed = true;
+				if (this.initials.length < 3)
+					this.initials += keys.name(letter);
+			}
+		}
+		const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+		const cycle = !typed ? controls.is_pressed("up") - controls.is_pressed("down") : 0;
+		if (cycle !== 0) {
+			// Change the last letter, or start with "A".
+			const last = this.initials.length > 0 ? ALPHABET.indexOf(this.initials.slice(-1)) : -cycle;
+			this.initials = this.initials.slice(0, -1) + ALPHABET[(last + cycle + ALPHABET.length) % ALPHABET.length];
+		}
+		if (!typed && controls.is_pressed("right") && this.initials.length > 0 && this.initials.length < 3)
+			this.initials += "A";
+		if (controls.is_pressed("erase"))
+			this.initials = this.initials.slice(0, -1);
+		if ((controls.is_pressed("confirm") || controls.is_pressed("fire")) && this.initials.length > 0) {
+			this.rank = high_scores.add(this.scores_table, {initials: this.initials, score: this.score, difficulty: this.difficulty, time: this.time - this.start_time, date: new Date().toISOString().slice(0, 10)});
+			this.initials = null;
+		}
+	}
+	// Draw everything. This doesn't modify the state of the game, as it may be called any number of times per time step.
+	draw() {
+		this.draw_world();
+		this.draw_hud();
+	}
+	// Draw the background, the grid and the entities.
+	draw_world() {
+		// Draw the background
+		context.fillStyle = "black";
+		context.fillRect(0, 0, WIDTH * PD, HEIGHT * PD);
+		const screen_shake = this.screen_shake;
+		context.translate(screen_shake.x * PD, screen_shake.y * PD); // Translate everything we draw to simulate a screen shake.
+		this.grid.draw(context, PD);
+		// Draw the entities
+		for (const o of game.world.all())
+			o.draw();
+		context.translate(-screen_shake.x * PD, -screen_shake.y * PD); // We don't want the HUD to be translated.
+	}
+	// Draw the HUD, along with whichever screen is being shown over the game (such as the title screen or the pause screen). There's no score in modes without enemies.
+	draw_hud() {
+		context.fillStyle = "white";
+		const co_op = this.players.length > 1;
+		const mode = MODES[this.mode];
+		const top = "status" in mode ? 44 : 12; // The top of the HUD in the middle of the screen, beneath the mode's status, if it has one.
+		for (const player of this.players) {
+			if (!game.at_title_screen && mode.enemies) {
+				context.fillStyle = player.colour;
+				draw.with_glow(() => draw.text({x: hud_x(player, 12), y: 12}, `${co_op ? `P${player.index + 1}` : "SCORE"}: ${player.score_drawn}`, 24, {h: player.index === 0 ? "left" : "right", v: "top"}), context.fillStyle);
+				this.draw_lives(player);
+				context.fillStyle = "white";
+				if (!game.is_over)
+					this.draw_combo(player, top);
+			}
+			this.draw_powerups(player);
+		}
+		if (!game.at_title_screen && "status" in mode)
+			draw.with_glow(() => draw.text({x: WIDTH / 2, y: 12}, mode.status(this.mode_state), 24, {h: "center", v: "top"}), context.fillStyle);
+		if (!game.at_title_screen && !game.is_over && "instructions" in mode)
+			draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT - 48}, mode.instructions(), 16, draw.TEXT_CENTRED), context.fillStyle, 2);
+		// In co-op, the top right corner is taken by the second player's score.
+		if (game.replaying)
+			draw.with_glow(() => draw.text({x: co_op ? WIDTH / 2 : WIDTH - 12, y: co_op ? top : 12}, "REPLAY", 24, {h: co_op ? "center" : "right", v: "top"}), context.fillStyle);
+		if (game.boss !== null)
+			this.draw_boss_health(game.boss);
+		if (touch.used)
+			this.draw_touch_controls();
+		// Game over screen
+		if (game.at_title_screen) {
+			if (controls_screen.is_open)
+				controls_screen.draw();
+			else if (settings_screen.is_open)
+				settings_screen.draw();
+			else {
+				draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT / 4}, "DISTORT", 80, draw.TEXT_CENTRED), context.fillStyle);
+				const describe = (actions, separator) => actions.map(action => controls.describe(action)).join(separator);
+				const controls_used = co_op ? `P1: ${controls.layout() || "KEYS"} + MOUSE / P2: ${describe(["p2_up", "p2_left", "p2_down", "p2_right"], "")} + ${describe(["p2_aim_up", "p2_aim_left", "p2_aim_down", "p2_aim_right"], "/")}` : `${controls.layout() || "KEYS"} + MOUSE`;
+				draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT / 4 + 70}, controls_used, 20, draw.TEXT_CENTRED), context.fillStyle, 2);
+				draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT / 4 + 100}, `${controls.describe("controls")} TO CHANGE THE CONTROLS`, 16, draw.TEXT_CENTRED), context.fillStyle, 2);
+				draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT / 4 + 124}, `${controls.describe("settings")} TO CHANGE THE SETTINGS`, 16, draw.TEXT_CENTRED), context.fillStyle, 2);
+				this.draw_modes(WIDTH / 4, HEIGHT / 2);
+				this.draw_high_scores(WIDTH * 3 / 4, HEIGHT / 2);
+				draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT - 72}, mode.description, 16, draw.TEXT_CENTRED), context.fillStyle, 2);
+				draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT - 48}, `${controls.describe("up")} / ${controls.describe("down")} TO CHOOSE A MODE, ${controls.describe("fire")} TO START`, 20, draw.TEXT_CENTRED), context.fillStyle, 2);
+			}
+		} else if (game.is_over) {
+			const title = {destroyed: "GAME OVER", time_up: "TIME UP", finished: "FINISHED"}[this.over_reason];
+			draw.with_alpha(() => draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT / 4 - 60 * (1 - game.is_over)}, title, 64, draw.TEXT_CENTRED), context.fillStyle), game.is_over);
+			draw.with_alpha(() => {
+				if (mode.enemies)
+					this.draw_score_breakdown(WIDTH / 4, HEIGHT / 2 - 40);
+				if (this.initials !== null)
+					this.draw_initials_entry(WIDTH * 3 / 4, HEIGHT / 2 - 40);
+				else this.draw_high_scores(WIDTH * 3 / 4, HEIGHT / 2 - 40);
+			}, game.is_over);
+			if (game.is_over >= 1 && this.initials === null)
+				draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT - 48}, `${controls.describe("fire")} TO RESTART / ${controls.describe("replay")} TO REPLAY / ${controls.describe("save")} TO SAVE`, 20, draw.TEXT_CENTRED), context.fillStyle, 2);
+		}
+		// Pause screen. In screenshot mode, it's hidden (unless the settings are being changed, so that screenshot mode may be turned off again).
+		if (game.is_paused && (settings_screen.is_open || !settings.get("screenshot_mode"))) {
+			context.fillStyle = "black";
+			draw.with_alpha(() => context.fillRect(0, 0, WIDTH * PD, HEIGHT * PD), settings_screen.is_open ? 0.75 : 0.5);
+			context.fillStyle = "white";
+			if (settings_screen.is_open)
+				settings_screen.draw();
+			else {
+				draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT / 2}, "PAUSED", 80, draw.TEXT_CENTRED), context.fillStyle);
+				draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT / 2 + 80}, `${controls.describe("fire")} / ${controls.describe("pause")} TO RESUME`, 20, draw.TEXT_CENTRED), context.fillStyle, 2);
+				draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT / 2 + 110}, `${controls.describe("step")} TO STEP, ${controls.describe("settings")} FOR THE SETTINGS`, 16, draw.TEXT_CENTRED), context.fillStyle, 2);
+			}
+		}
+	}
+	// The touch controls: the pause button, and the sticks that are being touched.
+	draw_touch_controls() {
+		context.strokeStyle = "white";
+		context.lineWidth = 2;
+		draw.with_alpha(() => {
+			const button = touch.PAUSE_BUTTON;
+			context.beginPath();
+			context.arc(button.x * PD, button.y * PD, button.radius * PD, 0, TAU);
+			context.stroke();
+			context.fillRect((button.x - 6) * PD, (button.y - 8) * PD, 4 * PD, 16 * PD);
+			context.fillRect((button.x + 2) * PD, (button.y - 8) * PD, 4 * PD, 16 * PD);
+			for (const stick of Object.values(touch.sticks)) {
+				if (stick !== null) {
+					context.beginPath();
+					context.arc(stick.origin.x * PD, stick.origin.y * PD, touch.RADIUS * PD, 0, TAU);
+					context.stroke();
+					const {x, y} = touch.vector(stick === touch.sticks.move ? "move" : "aim");
+					context.beginPath();
+					context.arc((stick.origin.x + x * touch.RADIUS) * PD, (stick.origin.y + y * touch.RADIUS) * PD, 16 * PD, 0, TAU);
+					context.fill();
+				}
+			}
+		}, 0.4);
+	}
+	// The boss's health bar, along the bottom of the screen, marked where each phase begins.
+	draw_boss_health(boss) {
+		const [x, y, width, height] = [WIDTH / 4, HEIGHT - 28, WIDTH / 2, 12];
+		context.fillStyle = context.strokeStyle = `hsl(${boss.hue}, 100%, 60%)`;
+		context.lineWidth = 2;
+		draw.with_glow(() => {
+			context.fillRect(x * PD, y * PD, width * boss.hp / boss.max_hp * PD, height * PD);
+			context.strokeRect(x * PD, y * PD, width * PD, height * PD);
+		}, context.fillStyle);
+		for (const phase of BOSS_PHASES.slice(1))
+			context.fillRect((x + width * phase.health - 1) * PD, y * PD, 2 * PD, height * PD);
+		draw.with_glow(() => draw.text({x: WIDTH / 2, y: y - 6}, "BOSS", 16, {h: "center", v: "bottom"}), context.fillStyle, 2);
+		context.fillStyle = "white";
+	}
+	// A player's current combo, with the time left to continue it. It's at the top of the screen (at `top`), or beneath the player's powerups in co-op.
+	draw_combo(player, top) {
+		const {combo} = player;
+		if (combo.count === 0)
+			return;
+		const remaining = 1 - (this.time - combo.last_kill) / (COMBO_WINDOW * SECS);
+		const text = `COMBO ${combo.count}  ×${this.multiplier(player)}`;
+		if (this.players.length === 1) {
+			draw.with_glow(() => draw.text({x: WIDTH / 2, y: top}, text, 20, {h: "center", v: "top"}), context.fillStyle, 8);
+			context.fillRect((WIDTH / 2 - 60 * remaining) * PD, (top + 26) * PD, 120 * remaining * PD, 3 * PD);
+		} else {
+			draw.with_glow(() => draw.text({x: hud_x(player, 12), y: 128}, text, 20, {h: player.index === 0 ? "left" : "right", v: "top"}), context.fillStyle, 8);
+			context.fillRect((player.index === 0 ? 12 : WIDTH - 12 - 120 * remaining) * PD, 154 * PD, 120 * remaining * PD, 3 * PD);
+		}
+	}
+	// Where the score came from, on the game over screen. In co-op, this is every player's together.
+	draw_score_breakdown(x, y) {
+		const total = (category) => this.players.reduce((points, player) => points + player.score_breakdown[category], 0);
+		const rows = [
+			...(this.players.length > 1 ? this.players.map(player => [`PLAYER ${player.index + 1}`, player.score]) : []),
+			["ENEMIES", total("enemies")],
+			["COMBO BONUS", total("combo")],
+			["MULTI-KILLS", total("multi_kill")],
+			["POINT BLANK", total("point_blank")],
+			["POWERUPS", total("powerups")],
+			["BEST COMBO", Math.max(...this.players.map(player => player.combo.best))],
+		];
+		for (const [label, value] of rows) {
+			draw.text({x: x - 120, y}, label, 16, {h: "left", v: "middle"});
+			draw.text({x: x + 120, y}, `${value}`, 16, {h: "right", v: "middle"});
+			y += 24;
+		}
+	}
+	// The modes that may be chosen on the title screen, with the selected one highlighted.
+	draw_modes(x, y) {
+		draw.with_glow(() => draw.text({x, y}, "MODES", 16, draw.TEXT_CENTRED), context.fillStyle, 2);
+		Object.entries(MODES).forEach(([mode, {name}], i) => {
+			context.fillStyle = mode === this.mode ? "hsl(55, 100%, 60%)" : "white";
+			draw.text({x, y: y + 32 + i * 28}, name, 20, draw.TEXT_CENTRED);
+		});
+		context.fillStyle = "white";
+	}
+	// The high score table for the current mode, with the run's own entry highlighted.
+	draw_high_scores(x, y) {
+		if (this.scores_table === null)
+			return;
+		const table = high_scores.table(this.scores_table);
+		if (table.length === 0)
+			return;
+		draw.with_glow(() => draw.text({x, y}, `HIGH SCORES: ${this.scores_table.toUpperCase()}`, 16, draw.TEXT_CENTRED), context.fillStyle, 2);
+		table.forEach((entry, rank) => {
+			const row_y = y + 28 + rank * 22;
+			context.fillStyle = rank === this.rank ? "hsl(55, 100%, 60%)" : "white";
+			draw.text({x: x - 120, y: row_y}, `${rank + 1}.`, 16, {h: "left", v: "middle"});
+			draw.text({x: x - 80, y: row_y}, entry.initials, 16, {h: "left", v: "middle"});
+			draw.text({x: x + 120, y: row_y}, `${entry.score}`, 16, {h: "right", v: "middle"});
+		});
+		context.fillStyle = "white";
+	}
+	// The player's initials, as they type them in.
+	draw_initials_entry(x, y) {
+		draw.with_glow(() => draw.text({x, y}, "NEW HIGH SCORE!", 20, draw.TEXT_CENTRED), context.fillStyle, 8);
+		const letters = this.initials.padEnd(3, "_").split("").join(" ");
+		draw.with_glow(() => draw.text({x, y: y + 70}, letters, 48, draw.TEXT_CENTRED), context.fillStyle);
+		draw.with_glow(() => draw.text({x, y: y + 140}, "TYPE YOUR INITIALS", 16, draw.TEXT_CENTRED), context.fillStyle, 2);
+		draw.with_glow(() => draw.text({x, y: y + 164}, "PRESS ENTER / CLICK TO CONFIRM", 16, draw.TEXT_CENTRED), context.fillStyle, 2);
+	}
+	// A player's remaining lives, beneath their score.
+	draw_lives(player) {
+		context.strokeStyle = player.colour;
+		context.lineWidth = 2;
+		for (let life = 0; life < player.lives; ++life) {
+			draw.isosceles_triangle({x: hud_x(player, 24 + life * 24), y: 52, dir: -TAU / 4}, 10, 1.5);
+			draw.with_glow(() => context.stroke(), context.strokeStyle, 8);
+		}
+	}
+	// The powerups a player has, beneath their score, each with its remaining time and charges.
+	draw_powerups(player) {
+		let offset = 28;
+		const y = 96;
+		for (const [type, state] of player.powerups) {
+			const x = hud_x(player, offset);
+			const remaining = state.expires - this.time;
+			// Powerups blink when they're about to run out.
+			const alpha = remaining < 2 * SECS && Math.floor(remaining / (SECS / 8)) % 2 === 0 ? 0.4 : 1;
+			draw_powerup_icon(type, {x, y}, 10, alpha);
+			if (state.length !== Infinity) {
+				context.beginPath();
+				context.arc(x * PD, y * PD, 16 * PD, -TAU / 4, -TAU / 4 + TAU * remaining / state.length);
+				draw.with_alpha(() => context.stroke(), alpha);
+			}
+			if ("max_charges" in POWERUP_TYPES[type]) {
+				for (let c = 0; c < state.charges; ++c)
+					context.fillRect((x - 8 + c * 6) * PD, (y + 22) * PD, 4 * PD, 4 * PD);
+			}
+			offset += 44;
+		}
+		context.fillStyle = "white";
+	}
+	pause() {
+		if (!this.at_title_screen && !this.is_over) {
+			this.is_paused = true;
+			audio.pause();
+		}
+	}
+	resume() {
+		this.is_paused = false;
+		audio.resume();
+	}
+	// Make sure Game cleans up after itself.
+	end() {}
+	restart() {
+		this.end();
+		set_game(new Game({level: this.level, mode: this.mode}));
+		game.initialise();
+	}
+	// Start a new game that replays the input from a recording.
+	static replay(recording) {
+		console.assert(is_numeric(recording.seed) && Array.isArray(recording.frames), "An invalid recording was replayed: %o", recording);
+		if (recording.version !== RECORDING_VERSION) {
+			console.warn("The recording was made with a different version of the game, so it can't be replayed.");
+			return;
+		}
+		game.end();
+		set_game(new Game({seed: recording.seed, level: recording.level, mode: recording.mode, rules: recording.rules, date: recording.date}));
+		game.replaying = recording;
+		game.replayed = true;
+		game.initialise();
+	}
+	// Each time step, either record the actions the player performs, or restore them from the recording being replayed.
+	record_input() {
+		if (this.replaying) {
+			if (this.frame < this.replaying.frames.length)
+				controls.restore(this.replaying.frames[this.frame]);
+			else this.replaying = null; // The recording has finished, so the player takes over.
+		}
+		this.recording.frames.push(controls.snapshot());
+	}
+	// Run a debug command (see `COMMANDS`) at the start of the next time step, so that it's recorded along with the input.
+	queue_command(command) {
+		this.commands.push(command);
+	}
+	// Each time step, run the debug commands that are waiting, or those from the recording being replayed that were run at this time step.
+	run_commands() {
+		const commands = this.replaying ? this.replaying.commands.filter(([frame]) => frame === this.frame).map(([, command]) => command) : this.commands;
+		this.commands = [];
+		for (const command of commands) {
+			this.recording.commands.push([this.frame, command]);
+			this.debugged = true;
+			debug.run(command);
+		}
+	}
+	spawn_enemy({type, x, y, difficulty}) {
+		// Enemies don't spawn during a boss fight. Without a limit, the game just becomes uplayable. Projectiles don't count towards the limit, so that shooters firing a lot can't stop enemies from spawning.
+		if (this.boss !== null || this.world.all(Enemy, Powerup).filter(o => !(o instanceof Projectile)).length > this.rules.max_enemies)
+			return;
+		new ENEMY_TYPES[type]({x, y, difficulty});
+	}
+	// Summon a boss, which descends from the top of the screen.
+	spawn_boss(difficulty) {
+		this.boss = new Boss({x: WIDTH / 2, y: -96, difficulty});
+		this.shake_screen(20, 2 * SECS);
+	}
+	// Spawn a powerup of the given type: "next" is the next upgrade the player doesn't have, and "random" is any of the other kinds. Powerups spawn somewhere near the middle of the screen, unless a position is given.
+	spawn_powerup(type, position = {x: WIDTH / 4 + this.spawn_random.next() * WIDTH / 2, y: HEIGHT / 4 + this.spawn_random.next() * HEIGHT / 2}) {
+		if (type === "next") {
+			// There's some progression of powerups, though this doesn't completely preclude the possibility two duplicate powerups spawn if the player isn't fast enough.
+			type = Object.keys(POWERUP_TYPES).find(type => POWERUP_TYPES[type].progression && !this.players.every(player => player.powerups.has(type)));
+			if (type === undefined)
+				return;
+		} else if (type === "random") {
+			const types = Object.keys(POWERUP_TYPES).filter(type => !POWERUP_TYPES[type].progression);
+			type = types[Math.floor(this.spawn_random.next() * types.length)];
+		}
+		new Powerup({x: position.x, y: position.y, powerup: type});
+	}
+	// Give a player a powerup. If they already have it, it stacks according to its `stacking` rule.
+	collect_powerup(player, type) {
+		const kind = POWERUP_TYPES[type];
+		const length = kind.duration !== null ? kind.duration * SECS : Infinity;
+		const state = player.powerups.get(type);
+		if (state === undefined) {
+			player.powerups.set(type, {expires: this.time + length, length, charges: 1});
+			return;
+		}
+		switch (kind.stacking) {
+			case "extend":
+				state.expires += length;
+				state.length = state.expires - this.time;
+				break;
+			case "charges":
+				state.charges = Math.min(kind.max_charges, state.charges + 1);
+				[state.expires, state.length] = [this.time + length, length];
+				break;
+			case "refresh":
+				[state.expires, state.length] = [this.time + length, length];
+				break;
+		}
+	}
+	// Pass a value through the given hook of every powerup the given players have (see `POWERUP_TYPES`). A powerup that several of the players have only applies once.
+	apply_powerups(hook, value, players = this.players) {
+		for (const type of new Set(players.flatMap(player => [...player.powerups.keys()]))) {
+			if (hook in POWERUP_TYPES[type])
+				value = POWERUP_TYPES[type][hook](value);
+		}
+		return value;
+	}
+	// Called when a player is hit. Returns whether a powerup protected them, using up one of its charges.
+	absorb_hit(player) {
+		for (const [type, state] of player.powerups) {
+			if (POWERUP_TYPES[type].absorbs_hits) {
+				if (--state.charges === 0)
+					state.expires = this.time;
+				return true;
+			}
+		}
+		return false;
+	}
+	// Each time step, remove the powerups that have run out.
+	update_powerups() {
+		for (const player of this.players) {
+			for (const [type, state] of player.powerups) {
+				if (this.time >= state.expires) {
+					player.powerups.delete(type);
+					if ("expired" in POWERUP_TYPES[type])
+						POWERUP_TYPES[type].expired(player);
+				}
+			}
+		}
+	}
+	// The multiplier for a player's current combo.
+	multiplier(player) {
+		return Math.min(MAX_MULTIPLIER, 1 + Math.floor(player.combo.count / COMBO_STEP));
+	}
+	// Award a player points for destroying an enemy, which count towards their combo. Enemies destroyed by the player's bullets (rather than by, say, a bomb) may also earn bonuses.
+	award_kill(player, e, killer) {
+		const {combo, score_breakdown} = player;
+		combo.count += 1;
+		combo.last_kill = this.time;
+		combo.best = Math.max(combo.best, combo.count);
+		const multiplier = this.multiplier(player);
+		score_breakdown.enemies += e.points;
+		score_breakdown.combo += e.points * (multiplier - 1);
+		let points = e.points * multiplier;
+		const labels = [];
+		if (killer !== null) {
+			if (Math.hypot(e.x - player.x, e.y - player.y) < POINT_BLANK + e.size) {
+				const bonus = Math.round(e.points * POINT_BLANK_BONUS);
+				score_breakdown.point_blank += bonus;
+				points += bonus;
+				labels.push("POINT BLANK");
+			}
+			if (killer.volley !== null && ++killer.volley.kills > 1) {
+				const bonus = MULTI_KILL_BONUS * (killer.volley.kills - 1);
+				score_breakdown.multi_kill += bonus;
+				points += bonus;
+				labels.push(killer.volley.kills === 2 ? "DOUBLE KILL" : "MULTI-KILL");
+			}
+		}
+		player.score += points;
+		new ScoreDelta({x: e.x, y: e.y, points, multiplier, label: labels.length > 0 ? labels.join(" + ") : null});
+	}
+	// Award a player points that don't count towards their combo.
+	award_points(player, points, position, category) {
+		player.score_breakdown[category] += points;
+		player.score += points;
+		new ScoreDelta({x: position.x, y: position.y, points});
+	}
+	// Missing drops the multiplier by one.
+	miss(player) {
+		player.combo.count = Math.max(0, player.combo.count - COMBO_STEP);
+	}
+	// Being hit loses the combo entirely.
+	break_combo(player) {
+		player.combo.count = 0;
+	}
+	// Each time step, end the combo of any player who has taken too long to make another kill.
+	update_combo() {
+		for (const {combo} of this.players) {
+			if (combo.count > 0 && this.time - combo.last_kill > COMBO_WINDOW * SECS)
+				combo.count = 0;
+		}
+	}
+	// Destroy every enemy, and badly damage any boss. The enemies count towards the player who set off the bomb.
+	detonate_bomb(player) {
+		for (const e of this.world.all(Enemy)) {
+			if (e === this.boss) {
+				e.hp = Math.max(1, e.hp - Math.ceil(e.max_hp / 10));
+				e.recoil = 1;
+				continue;
+			}
+			this.world.remove(e);
+			events.emit("enemy_killed", {enemy: e, by: null, player});
+			e.destroyed();
+		}
+		events.emit("bomb_detonated", {player});
+	}
+	trigger_particle_effect(pos, size, deflect, parts) {
+		for (let j = 0; j < parts; ++j) {
+			const size_with_variance = size + this.random.next() * 1;
+			new Particle({x: pos.x, y: pos.y, dir: pos.dir + TAU / 2 - deflect / 2 + deflect * this.random.next(), spd: 0.5 + this.random.next() * 2, size: size_with_variance, dist: size_with_variance});
+		}
+	}
+	shake_screen(max_mag, time) {
+		this.screen_shakes.push({max_mag, start: this.time, end: this.time + time});
+	}
+	// Each time step, pick the screen shake offset with the maximum magnitude.
+	update_screen_shake() {
+		this.screen_shakes = this.screen_shakes.filter(shake => this.time < shake.end);
+		this.screen_shake = {x: 0, y: 0, mag: 0};
+		for (const shake of this.screen_shakes) {
+			const dir = this.random.next() * TAU;
+			const mag = shake.max_mag * (1 - (this.time - shake.start) / (shake.end - shake.start));
+			if (mag > this.screen_shake.mag)
+				this.screen_shake = {x: Math.cos(dir) * mag, y: Math.sin(dir) * mag, mag};
+		}
+	}
+}
+
+// The horizontal position of part of a player's HUD, `x` in from their side of the screen: the first player's HUD is on the left, and the second's (in co-op) is on the right.
+function hud_x(player, x) {
+	return player.index === 0 ? x : WIDTH - x;
+}
+
+// The game's own reactions to events: scoring, collecting powerups, and the player's destruction.
+events.on("enemy_killed", ({enemy, by, player}) => {
+	if (enemy.points > 0)
+		game.award_kill(player, enemy, by);
+});
+events.on("powerup_collected", ({powerup, by}) => {
+	game.collect_powerup(by, powerup.powerup);
+	game.award_points(by, powerup.points, powerup, "powerups");
+});
+events.on("volley_missed", ({volley}) => game.miss(volley.player));
+events.on("player_hit", ({player}) => game.break_combo(player)); // Being hit loses the combo, even if the player is shielded.
+events.on("game_over", ({reason}) => {
+	game.is_over += 0.01;
+	game.over_reason = reason;
+});
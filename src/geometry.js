@@ -0,0 +1,87 @@
+import {TAU} from "./constants.js";
+
+// The shapes entities are drawn with, and collide with. A shape is either a convex polygon `{vertices}` or a circle `{x, y, radius}`.
+
+// The vertices of a regular polygon centred on `o`, rotated by `o.rotate`.
+export function polygon_vertices(o, radius, sides) {
+	return Array.from({length: sides}, (_, i) => ({x: o.x + Math.cos(i / sides * TAU + o.rotate) * radius, y: o.y + Math.sin(i / sides * TAU + o.rotate) * radius}));
+}
+
+// The vertices of an isosceles triangle centred on `o`, pointing in the direction `o.dir`. The two rear vertices are `side_scale` times closer to the centre than the front one.
+export function triangle_vertices(o, radius, side_scale) {
+	return [
+		{x: o.x + Math.cos(o.dir) * radius, y: o.y + Math.sin(o.dir) * radius},
+		{x: o.x + Math.cos(o.dir + TAU / 3) * radius / side_scale, y: o.y + Math.sin(o.dir + TAU / 3) * radius / side_scale},
+		{x: o.x + Math.cos(o.dir - TAU / 3) * radius / side_scale, y: o.y + Math.sin(o.dir - TAU / 3) * radius / side_scale},
+	];
+}
+
+// The smallest rectangle containing the shape.
+export function bounds(shape) {
+	if (!("vertices" in shape))
+		return {left: shape.x - shape.radius, top: shape.y - shape.radius, right: shape.x + shape.radius, bottom: shape.y + shape.radius};
+	const xs = shape.vertices.map(v => v.x);
+	const ys = shape.vertices.map(v => v.y);
+	return {left: Math.min(...xs), top: Math.min(...ys), right: Math.max(...xs), bottom: Math.max(...ys)};
+}
+
+// The area the shape passes through as it moves by (`dx`, `dy`). Testing this area, rather than just where the shape ends up, means fast objects can't pass straight through small ones between time steps. (Circles are treated as polygons here.)
+export function swept(shape, dx, dy) {
+	if (dx === 0 && dy === 0)
+		return shape;
+	const vertices = "vertices" in shape ? shape.vertices : polygon_vertices({x: shape.x, y: shape.y, rotate: 0}, shape.radius / Math.cos(TAU / 24), 12);
+	return {vertices: convex_hull([...vertices, ...vertices.map(v => ({x: v.x + dx, y: v.y + dy}))])};
+}
+
+// The convex hull of a set of points, in order (using the monotone chain algorithm).
+function convex_hull(points) {
+	const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+	const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+	const half = (points) => {
+		const hull = [];
+		for (const p of points) {
+			while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0)
+				hull.pop();
+			hull.push(p);
+		}
+		hull.pop(); // The last point is the first point of the other half.
+		return hull;
+	};
+	return [...half(sorted), ...half(sorted.reverse())];
+}
+
+// Whether two shapes overlap, using the separating axis theorem: two convex shapes don't overlap if and only if there's some axis on which their projections don't overlap. For polygons, it's enough to try the normal of each edge, and for a circle, the direction to the nearest vertex of the other shape.
+export function intersects(a, b) {
+	if (!("vertices" in a) && !("vertices" in b))
+		return Math.hypot(a.x - b.x, a.y - b.y) < a.radius + b.radius;
+	const axes = [];
+	for (const [shape, other] of [[a, b], [b, a]]) {
+		if ("vertices" in shape) {
+			shape.vertices.forEach((v, i) => {
+				const next = shape.vertices[(i + 1) % shape.vertices.length];
+				axes.push({x: v.y - next.y, y: next.x - v.x});
+			});
+		} else {
+			const nearest = other.vertices.reduce((nearest, v) => Math.hypot(v.x - shape.x, v.y - shape.y) < Math.hypot(nearest.x - shape.x, nearest.y - shape.y) ? v : nearest);
+			axes.push({x: nearest.x - shape.x, y: nearest.y - shape.y});
+		}
+	}
+	return axes.every((axis) => {
+		const length = Math.hypot(axis.x, axis.y);
+		if (length === 0)
+			return true;
+		const [min_a, max_a] = project(a, {x: axis.x / length, y: axis.y / length});
+		const [min_b, max_b] = project(b, {x: axis.x / length, y: axis.y / length});
+		return min_a < max_b && min_b < max_a;
+	});
+}
+
+// The interval the shape covers along the (unit) axis.
+function project(shape, axis) {
+	if (!("vertices" in shape)) {
+		const centre = shape.x * axis.x + shape.y * axis.y;
+		return [centre - shape.radius, centre + shape.radius];
+	}
+	const projections = shape.vertices.map(v => v.x * axis.x + v.y * axis.y);
+	return [Math.min(...projections), Math.max(...projections)];
+}
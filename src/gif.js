@@ -0,0 +1,128 @@
+// An encoder for animated GIFs, which doesn't depend on the browser: each frame is given as RGBA pixels (as in `ImageData`), and the GIF is returned as bytes. For example:
+//     const gif = new GifEncoder({width: 384, height: 304, delay: 50});
+//     gif.add_frame(context.getImageData(0, 0, 384, 304).data); // For each frame.
+//     const bytes = gif.finish();
+// GIFs are limited to 256 colours, so rather than choosing a palette for each GIF, every frame is reduced to a fixed palette of evenly spaced colours, with ordered dithering to smooth out gradients (such as the glow).
+
+const LEVELS = 6; // The number of levels of each of red, green and blue in the palette, which has `LEVELS` cubed colours.
+const MAX_CODES = 4096; // The largest number of codes the LZW compression in a GIF may use.
+
+// The thresholds for ordered dithering, for each position in a 4 × 4 block of pixels.
+const BAYER = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+// The level of the palette each value of a colour component (from 0 to 255) is reduced to, for each of the dithering thresholds.
+const DITHERED = BAYER.map((threshold) => {
+	const levels = new Uint8Array(256);
+	for (let value = 0; value < 256; ++value)
+		levels[value] = Math.min(LEVELS - 1, Math.max(0, Math.round(value / 255 * (LEVELS - 1) + (threshold + 0.5) / 16 - 0.5)));
+	return levels;
+});
+
+export class GifEncoder {
+	constructor({width, height, delay}) {
+		this.width = width;
+		this.height = height;
+		this.delay = Math.round(delay / 10); // The time each frame is shown for: this is given in milliseconds, but GIFs measure it in hundredths of a second.
+		this.bytes = [];
+		this.write_string("GIF89a");
+		// The logical screen descriptor, which declares a global palette of 256 colours.
+		this.write_short(width);
+		this.write_short(height);
+		this.bytes.push(0xF7, 0, 0);
+		for (let colour = 0; colour < 256; ++colour) {
+			if (colour < LEVELS ** 3) {
+				const [r, g, b] = [Math.floor(colour / LEVELS ** 2), Math.floor(colour / LEVELS) % LEVELS, colour % LEVELS];
+				this.bytes.push(...[r, g, b].map(level => Math.round(level / (LEVELS - 1) * 255)));
+			} else this.bytes.push(0, 0, 0); // The rest of the palette is unused.
+		}
+		// Loop forever.
+		this.bytes.push(0x21, 0xFF, 11);
+		this.write_string("NETSCAPE2.0");
+		this.bytes.push(3, 1, 0, 0, 0);
+	}
+	write_string(string) {
+		for (const character of string)
+			this.bytes.push(character.charCodeAt(0));
+	}
+	write_short(value) {
+		this.bytes.push(value & 0xFF, value >> 8);
+	}
+	// Add a frame, given as the RGBA values of each pixel, row by row.
+	add_frame(pixels) {
+		console.assert(pixels.length === this.width * this.height * 4, "A frame of a GIF was the wrong size: %d", pixels.length);
+		// The graphic control extension, which gives the frame's delay.
+		this.bytes.push(0x21, 0xF9, 4, 0);
+		this.write_short(this.delay);
+		this.bytes.push(0, 0);
+		// The image descriptor, which covers the whole screen.
+		this.bytes.push(0x2C);
+		this.write_short(0);
+		this.write_short(0);
+		this.write_short(this.width);
+		this.write_short(this.height);
+		this.bytes.push(0);
+		// Reduce each pixel to the palette.
+		const indices = new Uint8Array(this.width * this.height);
+		for (let y = 0, i = 0; y < this.height; ++y) {
+			for (let x = 0; x < this.width; ++x, ++i) {
+				const levels = DITHERED[(y & 3) * 4 + (x & 3)];
+				indices[i] = (levels[pixels[i * 4]] * LEVELS + levels[pixels[i * 4 + 1]]) * LEVELS + levels[pixels[i * 4 + 2]];
+			}
+		}
+		this.write_lzw(indices, 8);
+	}
+	// Compress the indices of the pixels with the variant of LZW that GIFs use, and write them in blocks of at most 255 bytes.
+	write_lzw(indices, min_code_size) {
+		const clear = 1 << min_code_size;
+		const end = clear + 1;
+		const data = [];
+		let [code_size, next_code, table] = [min_code_size + 1, end + 1, new Map()];
+		// Codes are packed into bytes starting from the least significant bit.
+		let [buffer, bits] = [0, 0];
+		const write_code = (code) => {
+			buffer |= code << bits;
+			bits += code_size;
+			while (bits >= 8) {
+				data.push(buffer & 0xFF);
+				buffer >>= 8;
+				bits -= 8;
+			}
+		};
+		write_code(clear);
+		let prefix = indices[0];
+		for (let i = 1; i < indices.length; ++i) {
+			const key = prefix << 8 | indices[i];
+			const code = table.get(key);
+			if (code !== undefined) {
+				prefix = code;
+				continue;
+			}
+			write_code(prefix);
+			// Once the table is full, it's cleared and started again.
+			if (next_code === MAX_CODES) {
+				write_code(clear);
+				[code_size, next_code, table] = [min_code_size + 1, end + 1, new Map()];
+			} else {
+				if (next_code >= 1 << code_size)
+					++code_size;
+				table.set(key, next_code++);
+			}
+			prefix = indices[i];
+		}
+		write_code(prefix);
+		write_code(end);
+		if (bits > 0)
+			data.push(buffer & 0xFF);
+		this.bytes.push(min_code_size);
+		for (let i = 0; i < data.length; i += 255) {
+			const block = data.slice(i, i + 255);
+			this.bytes.push(block.length, ...block);
+		}
+		this.bytes.push(0);
+	}
+	// Finish the GIF, returning its bytes.
+	finish() {
+		this.bytes.push(0x3B);
+		return new Uint8Array(this.bytes);
+	}
+}
@@ -0,0 +1,166 @@
+import {PRECISION, FIELDS} from "./fields.js";
+
+// A grid that is distorted by nearby sources of distortion. This doesn't depend on the rest of the game, so it can be used wherever the effect is wanted: for instance, as the background of a menu.
+//     const grid = new Grid({canvas, width: 640, height: 480, cell_size: 24, colour: () => "cyan"});
+//     grid.add_source({x: 320, y: 240, dist: 64, field: "vortex"});
+//     // Then, every frame:
+//     grid.update();
+//     grid.draw();
+// A source is any object with a position `x`, `y` and a strength `dist`, which may be changed (or moved) at any time. It may also have a `field` (see `FIELDS`), which is radial by default, and `invert` to reverse the field's direction.
+export class Grid {
+	constructor({
+		canvas = null, // The canvas to draw the grid to. If this is omitted, a context must be given to `draw` instead.
+		width = canvas.width, // The size of the area covered by the grid. The canvas may be larger, in which case the grid is scaled to fit it (e.g. on high pixel density screens).
+		height = canvas.height,
+		cell_size = 32, // The size of each grid cell.
+		boundary = 1, // How many extra cells to draw outside the area (to ensure the edge of the grid can't be seen, even when it is distorted).
+		colour = () => "white", // Returns the style the grid is drawn with, given the context and its pixel density.
+		mode = "static", // Either "static", where points are moved directly to wherever they're distorted, or "dynamic", where points are pulled there by springs, so that impacts ripple across the grid.
+		stiffness = 0.1, // In the dynamic mode, the strength of the springs between neighbouring points.
+		anchoring = 0.05, // In the dynamic mode, the strength of the springs pulling each point towards its distorted position.
+		damping = 0.04, // In the dynamic mode, the proportion of each point's velocity that is lost every time step.
+	} = {}) {
+		this.context = canvas !== null ? canvas.getContext("2d") : null;
+		this.width = width;
+		this.height = height;
+		this.cell_size = cell_size;
+		this.boundary = boundary;
+		this.colour = colour;
+		this.mode = mode;
+		this.stiffness = stiffness;
+		this.anchoring = anchoring;
+		this.damping = damping;
+		this.max_dist = cell_size * boundary * 4; // The furthest any single source may displace a point.
+		this.sources = new Set();
+		this.columns = Math.ceil(width / cell_size) + boundary * 2 + 1;
+		this.rows = Math.ceil(height / cell_size) + boundary * 2 + 1;
+		this.grid = [];
+		// Fill the grid with points.
+		for (let y = 0; y < this.rows; ++y) {
+			for (let x = 0; x < this.columns; ++x) {
+				const o = {x: (x - boundary) * cell_size, y: (y - boundary) * cell_size};
+				this.grid.push({x: o.x, y: o.y, o});
+			}
+		}
+		// The total displacement of each point, which is accumulated from every source in turn.
+		this.delta_x = new Float64Array(this.grid.length);
+		this.delta_y = new Float64Array(this.grid.length);
+		// The velocity of each point, in the dynamic mode.
+		this.velocity_x = new Float64Array(this.grid.length);
+		this.velocity_y = new Float64Array(this.grid.length);
+	}
+	add_source(source) {
+		console.assert(source.field === undefined || source.field in FIELDS, "A distortion source has an unknown field: %o", source);
+		this.sources.add(source);
+	}
+	remove_source(source) {
+		this.sources.delete(source);
+	}
+	update() {
+		const {cell_size, boundary, columns, max_dist, delta_x, delta_y} = this;
+		delta_x.fill(0);
+		delta_y.fill(0);
+		// The grid distortion effect. Rather than considering every source for every point, we consider only the points within the radius of influence of each source, beyond which it displaces points by less than `PRECISION` (see there for how far off this leaves the total).
+		const direction = {x: 0, y: 0};
+		const axis = {x: 0, y: 0};
+		for (const o of this.sources) {
+			if (!(o.dist > PRECISION))
+				continue;
+			const field = FIELDS[o.field || "radial"];
+			const {push} = field;
+			const {dist, invert} = o;
+			axis.x = Math.cos(o.dir || 0);
+			axis.y = Math.sin(o.dir || 0);
+			// The region of influence is a circle, around the source unless the field says it lies behind it.
+			const radius = field.radius(o, cell_size, PRECISION);
+			const behind = field.behind !== undefined ? field.behind(o, cell_size, PRECISION) : 0;
+			const [centre_x, centre_y] = [o.x - axis.x * behind, o.y - axis.y * behind];
+			const [min_y, max_y] = [Math.max(0, Math.ceil((centre_y - radius) / cell_size) + boundary), Math.min(this.rows - 1, Math.floor((centre_y + radius) / cell_size) + boundary)];
+			for (let y = min_y; y <= max_y; ++y) {
+				const dy = (y - boundary) * cell_size - o.y;
+				// The points of this row that lie within the circle.
+				const span = Math.sqrt(Math.max(0, radius * radius - Math.pow((y - boundary) * cell_size - centre_y, 2)));
+				const [min_x, max_x] = [Math.max(0, Math.ceil((centre_x - span) / cell_size) + boundary), Math.min(columns - 1, Math.floor((centre_x + span) / cell_size) + boundary)];
+				for (let x = min_x; x <= max_x; ++x) {
+					const dx = (x - boundary) * cell_size - o.x;
+					const distance = Math.sqrt(dx * dx + dy * dy);
+					let dis = Math.min(dist * push(o, dx, dy, distance, cell_size, axis, direction), max_dist);
+					if (invert)
+						dis = -dis;
+					const index = y * columns + x;
+					delta_x[index] += direction.x * dis;
+					delta_y[index] += direction.y * dis;
+				}
+			}
+		}
+		if (this.mode === "dynamic")
+			this.update_springs();
+		else {
+			for (let j = 0; j < this.grid.length; ++j) {
+				const p = this.grid[j];
+				p.x = p.o.x + this.delta_x[j];
+				p.y = p.o.y + this.delta_y[j];
+			}
+			this.velocity_x.fill(0);
+			this.velocity_y.fill(0);
+		}
+	}
+	// How far the sources displace the point with the given index, as of the last update (in the dynamic mode, this is where the point is being pulled to, rather than where it is).
+	displacement(index) {
+		return Math.hypot(this.delta_x[index], this.delta_y[index]);
+	}
+	// In the dynamic mode, each point is joined by springs to its neighbours and to its distorted position, so it has momentum: sudden distortions send waves across the grid, and overshoot.
+	update_springs() {
+		for (let y = 0; y < this.rows; ++y) {
+			for (let x = 0; x < this.columns; ++x) {
+				const index = y * this.columns + x;
+				const p = this.grid[index];
+				const [dx, dy] = [p.x - p.o.x, p.y - p.o.y];
+				let force_x = (this.delta_x[index] - dx) * this.anchoring;
+				let force_y = (this.delta_y[index] - dy) * this.anchoring;
+				// The springs between neighbouring points pull each point towards the displacement of its neighbours.
+				const neighbours = [x > 0 && index - 1, x < this.columns - 1 && index + 1, y > 0 && index - this.columns, y < this.rows - 1 && index + this.columns];
+				for (const neighbour of neighbours) {
+					if (neighbour !== false) {
+						const q = this.grid[neighbour];
+						force_x += (q.x - q.o.x - dx) * this.stiffness;
+						force_y += (q.y - q.o.y - dy) * this.stiffness;
+					}
+				}
+				this.velocity_x[index] = (this.velocity_x[index] + force_x) * (1 - this.damping);
+				this.velocity_y[index] = (this.velocity_y[index] + force_y) * (1 - this.damping);
+			}
+		}
+		// We only move the points once all the forces have been computed, so that every point sees its neighbours in the same state.
+		for (let j = 0; j < this.grid.length; ++j) {
+			this.grid[j].x += this.velocity_x[j];
+			this.grid[j].y += this.velocity_y[j];
+		}
+	}
+	// The pixel density is the ratio of canvas pixels to units of the grid's area, which may be given if the grid doesn't fill the canvas's width exactly (e.g. if it's letterboxed).
+	draw(context = this.context, PD = context.canvas.width / this.width) {
+		context.fillStyle = context.strokeStyle = this.colour(context, PD);
+		for (const p of this.grid) {
+			context.fillRect((p.x - 2) * PD, (p.y - 2) * PD, 4 * PD, 4 * PD);
+		}
+		context.lineWidth = 1;
+		// Draw the rows
+		for (let y = 0; y < this.rows; ++y) {
+			context.beginPath();
+			for (let x = 0; x < this.columns; ++x) {
+				const p = this.grid[y * this.columns + x];
+				context.lineTo(p.x * PD, p.y * PD);
+			}
+			context.stroke();
+		}
+		// Draw the columns
+		for (let x = 0; x < this.columns; ++x) {
+			context.beginPath();
+			for (let y = 0; y < this.rows; ++y) {
+				const p = this.grid[y * this.columns + x];
+				context.lineTo(p.x * PD, p.y * PD);
+			}
+			context.stroke();
+		}
+	}
+}
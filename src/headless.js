@@ -0,0 +1,38 @@
+import {readFileSync} from "fs";
+import {WIDTH, HEIGHT, SECS} from "./constants.js";
+import {keys, cursor, controls} from "./input.js";
+import {game, set_game} from "./state.js";
+import {Game} from "./game.js";
+import {parse_level} from "./waves.js";
+
+// Running the game without a browser, for automated tests and balance simulations. Nothing is drawn: the game is simply stepped, with the input set by a script rather than by the input devices.
+
+// Load a level from a JSON file (by default, the standard endless game).
+export function load_level(path = new URL("../levels/endless.json", import.meta.url)) {
+	return parse_level(JSON.parse(readFileSync(path, "utf8")));
+}
+
+// Start a new game in the given mode (see `MODES`), leaving the title screen straight away. The difficulty the level starts at, and the gameplay settings (see `OPTIONS`), may be overridden.
+export function start_game({seed, level = load_level(), mode, difficulty = level.difficulty.start, rules} = {}) {
+	keys.restore([]);
+	cursor.restore([WIDTH / 2, HEIGHT / 2, 0]);
+	controls.restore([[], [[0, 0, WIDTH / 2, HEIGHT / 2, false], [0, 0, WIDTH / 2, HEIGHT / 2, false]]]);
+	// The starting difficulty is part of the level, so that it's recorded along with it.
+	set_game(new Game({seed, level: {...level, difficulty: {...level.difficulty, start: difficulty}}, mode, rules}));
+	game.initialise();
+	// The title screen is left by clicking, as it would be in the browser, so that the run is recorded in the same way, and so may be replayed.
+	cursor.press();
+	game.update();
+	cursor.release();
+	return game;
+}
+
+// Play a game until it's over, or until the time limit is reached. `script` is called before each time step, and may set the state of `keys` and `cursor` as it likes (which are bound to actions as they would be in the browser).
+export function simulate({seed, level, mode, difficulty, rules, script = () => {}, time_limit = 10 * 60 * SECS} = {}) {
+	start_game({seed, level, mode, difficulty, rules});
+	while (!game.is_over && game.time - game.start_time < time_limit) {
+		script(game, {keys, cursor});
+		game.update();
+	}
+	return {seed: game.random.seed, time: game.time - game.start_time, score: game.score, difficulty: game.difficulty, is_over: game.is_over > 0};
+}
@@ -0,0 +1,75 @@
+import {is_numeric, local_storage} from "./util.js";
+
+// The high score tables, one for each mode, which are kept in local storage. If local storage isn't available, the tables only last until the page is closed.
+export const high_scores = {
+	STORAGE_KEY: "distort-high-scores",
+	VERSION: 1, // The version of the storage format, which must be increased whenever the format changes.
+	SIZE: 10, // The number of entries in each table.
+	// Each function upgrades the stored data from the version it's listed under to the next version. When the format changes, a migration must be added here, so that players don't lose their scores.
+	MIGRATIONS: {},
+	tables: null, // The tables, by mode. These are loaded the first time they're needed.
+	// The entries in the table for the given mode, from highest to lowest.
+	table(mode) {
+		if (this.tables === null)
+			this.load();
+		return this.tables[mode] || [];
+	},
+	// Whether the score is high enough to enter the table.
+	qualifies(mode, score) {
+		const table = this.table(mode);
+		return score > 0 && (table.length < this.SIZE || score > table[table.length - 1].score);
+	},
+	// Add an entry `{initials, score, ...}` to the table, returning its rank (from 0), or -1 if it didn't make it into the table.
+	add(mode, entry) {
+		const table = [...this.table(mode)];
+		let rank = table.findIndex(other => entry.score > other.score); // Earlier entries win ties.
+		if (rank === -1)
+			rank = table.length;
+		table.splice(rank, 0, entry);
+		this.tables[mode] = table.slice(0, this.SIZE);
+		this.save();
+		return rank < this.SIZE ? rank : -1;
+	},
+	load() {
+		this.tables = {};
+		const store = local_storage();
+		let stored = null;
+		try {
+			stored = store !== null ? store.getItem(this.STORAGE_KEY) : null;
+		} catch (error) {}
+		if (stored === null)
+			return;
+		try {
+			let data = JSON.parse(stored);
+			while (is_numeric(data.version) && data.version < this.VERSION)
+				data = this.MIGRATIONS[data.version](data);
+			if (data.version !== this.VERSION || typeof data.tables !== "object" || data.tables === null)
+				throw new Error(`Unrecognised high score format (version ${data.version}).`);
+			for (const [mode, table] of Object.entries(data.tables)) {
+				// We keep whatever entries are valid, rather than discarding the whole table.
+				if (Array.isArray(table))
+					this.tables[mode] = table.filter(is_valid_entry).sort((a, b) => b.score - a.score).slice(0, this.SIZE);
+			}
+		} catch (error) {
+			// The saved scores are unreadable, so we start again, keeping a copy of what was there in case it can be recovered by hand.
+			console.warn("The saved high scores could not be read, so they have been reset.", error);
+			try {
+				store.setItem(`${this.STORAGE_KEY}-corrupt`, stored);
+			} catch (error) {}
+		}
+	},
+	save() {
+		const store = local_storage();
+		if (store === null)
+			return;
+		try {
+			store.setItem(this.STORAGE_KEY, JSON.stringify({version: this.VERSION, tables: this.tables}));
+		} catch (error) {
+			console.warn("The high scores could not be saved.", error);
+		}
+	},
+};
+
+function is_valid_entry(entry) {
+	return typeof entry === "object" && entry !== null && typeof entry.initials === "string" && /^[A-Z]{1,3}$/.test(entry.initials) && is_numeric(entry.score) && entry.score >= 0;
+}
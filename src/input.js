@@ -0,0 +1,341 @@
+import {WIDTH, HEIGHT} from "./constants.js";
+import {local_storage} from "./util.js";
+
+// The state of the input devices. This is updated by the browser's input events, or directly when the game is run headlessly. The game itself doesn't look at the input devices directly, but at the actions they're bound to (see `controls`).
+
+// The names of keys that aren't letters or digits.
+const KEY_NAMES = {8: "BACKSPACE", 9: "TAB", 13: "ENTER", 16: "SHIFT", 17: "CONTROL", 18: "ALT", 27: "ESCAPE", 32: "SPACE", 37: "LEFT", 38: "UP", 39: "RIGHT", 40: "DOWN", 191: "/", 192: "`", 219: "[", 221: "]"};
+
+// Keyboard control.
+export const keys = {
+	name (key) {
+		if ((key >= 65 && key <= 90) || (key >= 48 && key <= 57)) // Letters and digits.
+			return String.fromCharCode(key);
+		if (key in KEY_NAMES)
+			return KEY_NAMES[key];
+		return "(" + key + ")";
+	},
+	held : new Map(),
+	is_pressed(key) {
+		return this.held.get(key) === 1;
+	},
+	is_held(key) {
+		return this.held.has(key);
+	},
+	press(key) {
+		if (!this.held.has(key))
+			this.held.set(key, 1);
+	},
+	release(key) {
+		this.held.delete(key);
+	},
+	// The state of the keys, in a form that can be recorded and restored.
+	snapshot() {
+		return Array.from(this.held.entries());
+	},
+	restore(snapshot) {
+		this.held = new Map(snapshot);
+	},
+};
+
+// Mouse control.
+export const cursor = {
+	x: WIDTH / 2,
+	y: HEIGHT / 2,
+	held: 0,
+	move({x, y}) {
+		[this.x, this.y] = [x, y];
+	},
+	is_pressed() {
+		return this.held === 1;
+	},
+	is_held() {
+		return this.held !== 0;
+	},
+	press() {
+		this.held = 1;
+	},
+	release() {
+		this.held = 0;
+	},
+	// The state of the mouse, in a form that can be recorded and restored.
+	snapshot() {
+		return [this.x, this.y, this.held];
+	},
+	restore([x, y, held]) {
+		[this.x, this.y, this.held] = [x, y, held];
+	},
+};
+
+// Touch control, using a pair of virtual sticks: a touch on the left half of the screen moves the player, and a touch on the right half aims and fires. Each stick is centred wherever its touch began. There's also a pause button, in the top right corner.
+export const touch = {
+	RADIUS: 48, // How far a touch has to move from where it began to push its stick all the way.
+	PAUSE_BUTTON: {x: WIDTH - 36, y: 36, radius: 24},
+	used: false, // Whether the screen has been touched at all, in which case the touch controls are shown.
+	sticks: {move: null, aim: null}, // The touch controlling each stick, as `{id, origin, position}`, if any.
+	pausing: null, // The touch on the pause button, if any.
+	start(id, position) {
+		this.used = true;
+		if (Math.hypot(position.x - this.PAUSE_BUTTON.x, position.y - this.PAUSE_BUTTON.y) < this.PAUSE_BUTTON.radius)
+			this.pausing = id;
+		else {
+			const stick = position.x < WIDTH / 2 ? "move" : "aim";
+			if (this.sticks[stick] === null)
+				this.sticks[stick] = {id, origin: position, position};
+		}
+	},
+	move(id, position) {
+		for (const stick of Object.values(this.sticks)) {
+			if (stick !== null && stick.id === id)
+				stick.position = position;
+		}
+	},
+	end(id) {
+		for (const [name, stick] of Object.entries(this.sticks)) {
+			if (stick !== null && stick.id === id)
+				this.sticks[name] = null;
+		}
+		if (this.pausing === id)
+			this.pausing = null;
+	},
+	// How far the stick is pushed in each direction, as a vector of length at most 1, or null if it isn't being touched.
+	vector(stick) {
+		if (this.sticks[stick] === null)
+			return null;
+		const {origin, position} = this.sticks[stick];
+		const [dx, dy] = [position.x - origin.x, position.y - origin.y];
+		const length = Math.max(this.RADIUS, Math.hypot(dx, dy));
+		return {x: dx / length, y: dy / length};
+	},
+};
+
+// The inputs bound to each action by default. Inputs are key names (see `keys.name`), or "MOUSE" for the left mouse button.
+const DEFAULT_BINDINGS = {
+	up: ["W", "UP"],
+	down: ["S", "DOWN"],
+	left: ["A", "LEFT"],
+	right: ["D", "RIGHT"],
+	fire: ["MOUSE", "SPACE"],
+	pause: ["P", "ESCAPE"],
+	step: ["N"], // Advance the game by a single time step, while it's paused.
+	confirm: ["ENTER"],
+	erase: ["BACKSPACE"],
+	replay: ["R"],
+	save: ["S"],
+	fullscreen: ["F"],
+	slow_motion: ["M"],
+	grid: ["G"], // Switch between the static and dynamic grid.
+	mute: ["V"],
+	volume_down: ["["],
+	volume_up: ["]"],
+	controls: ["C"], // Show the controls screen (on the title screen).
+	settings: ["O"], // Show the settings screen (on the title screen, or while the game is paused).
+	screenshot: ["T"], // Save a still of the game.
+	clip: ["Y"], // Save a clip of the last few seconds of play.
+	debug: ["`"], // Show the debug overlay.
+	console: ["/"], // Open the debug console.
+	// Changing the distortion created by clicking, in zen mode.
+	weaker: ["Z"],
+	stronger: ["X"],
+	polarity: ["Q"],
+	// The second player, in co-op, moves and aims with the keyboard alone, firing whenever they're aiming.
+	p2_up: ["I"],
+	p2_down: ["K"],
+	p2_left: ["J"],
+	p2_right: ["L"],
+	p2_aim_up: ["UP"],
+	p2_aim_down: ["DOWN"],
+	p2_aim_left: ["LEFT"],
+	p2_aim_right: ["RIGHT"],
+};
+
+const PLAYER_TWO_ACTIONS = ["p2_up", "p2_down", "p2_left", "p2_right", "p2_aim_up", "p2_aim_down", "p2_aim_left", "p2_aim_right"];
+
+// The direction given by four actions (e.g. "up", "down", "left" and "right"), with each component between -1 and 1.
+function direction(active, [up, down, left, right]) {
+	return {x: active.has(right) - active.has(left), y: active.has(down) - active.has(up)};
+}
+
+// Alternative layouts for movement, which may be chosen on the controls screen.
+export const LAYOUTS = {
+	WASD: {up: ["W", "UP"], down: ["S", "DOWN"], left: ["A", "LEFT"], right: ["D", "RIGHT"]},
+	ESDF: {up: ["E", "UP"], down: ["D", "DOWN"], left: ["S", "LEFT"], right: ["F", "RIGHT"]},
+	ARROWS: {up: ["UP"], down: ["DOWN"], left: ["LEFT"], right: ["RIGHT"]},
+};
+
+// The actions the player may perform, which are what the game looks at, rather than the input devices. The bindings from inputs to actions may be changed, and are kept in local storage.
+export const controls = {
+	STORAGE_KEY: "distort-controls",
+	VERSION: 1, // The version of the storage format.
+	REBINDABLE: ["up", "down", "left", "right", "fire", "pause"], // The actions listed on the controls screen.
+	SHORTCUTS: ["fullscreen", "slow_motion", "grid", "mute", "volume_down", "volume_up", "screenshot", "clip", "debug", "console"], // The actions handled by the page, whatever the game is doing, so an input bound to one of these does nothing else.
+	MOVEMENT_THRESHOLD: 0.5, // How far the movement stick has to be pushed to count as pressing a direction (e.g. when entering initials).
+	AIM_DISTANCE: 100, // How far from the player the aiming stick points.
+	bindings: null, // These are loaded the first time they're needed.
+	held: new Map(), // How many time steps each action has been held for.
+	// What each player is doing: the direction they're moving in (`move`, with each component between -1 and 1), the point they're aiming at (`aim`), and whether they're firing continuously (`auto_fire`, while the aiming stick or keys are held), rather than once each time they press fire. Only the first player fires with the "fire" action.
+	players: [
+		{move: {x: 0, y: 0}, aim: {x: WIDTH / 2, y: HEIGHT / 2}, auto_fire: false},
+		{move: {x: 0, y: 0}, aim: {x: WIDTH / 2, y: HEIGHT / 2}, auto_fire: false},
+	],
+	is_pressed(action) {
+		return this.held.get(action) === 1;
+	},
+	is_held(action) {
+		return this.held.has(action);
+	},
+	// Whether the input (as named by `keys.name`, or "MOUSE") is bound to the action.
+	is_bound(action, input) {
+		if (this.bindings === null)
+			this.load();
+		return this.bindings[action].includes(input);
+	},
+	// Each time step, work out which actions are being performed from the state of the input devices. Aiming with a stick (or with the keyboard, for the second player) is relative to where each of the `players` is. When there are two players, any input bound to the second player's actions is theirs alone.
+	poll(players) {
+		if (this.bindings === null)
+			this.load();
+		const reserved = players.length > 1 ? new Set(PLAYER_TWO_ACTIONS.flatMap(action => this.bindings[action])) : new Set();
+		const active = new Set();
+		for (const [action, inputs] of Object.entries(this.bindings)) {
+			const usable = PLAYER_TWO_ACTIONS.includes(action) ? inputs : inputs.filter(input => !reserved.has(input));
+			if (usable.some(input => input === "MOUSE" ? cursor.is_held() : keys.is_held(input)))
+				active.add(action);
+		}
+		const move = touch.vector("move");
+		const aim = touch.vector("aim");
+		if (move !== null) {
+			for (const [action, pushed] of [["up", -move.y], ["down", move.y], ["left", -move.x], ["right", move.x]]) {
+				if (pushed > this.MOVEMENT_THRESHOLD)
+					active.add(action);
+			}
+		}
+		if (aim !== null)
+			active.add("fire");
+		if (touch.pausing !== null)
+			active.add("pause");
+		for (const action of Object.keys(this.bindings)) {
+			if (active.has(action))
+				this.held.set(action, (this.held.get(action) || 0) + 1);
+			else this.held.delete(action);
+		}
+		// Moving with a stick is analogue, whereas moving with keys is all or nothing.
+		const [one, two] = this.players;
+		one.move = move !== null ? move : direction(active, ["up", "down", "left", "right"]);
+		one.auto_fire = aim !== null;
+		if (aim !== null && (aim.x !== 0 || aim.y !== 0))
+			one.aim = {x: players[0].x + aim.x * this.AIM_DISTANCE, y: players[0].y + aim.y * this.AIM_DISTANCE};
+		else if (aim === null)
+			one.aim = {x: cursor.x, y: cursor.y};
+		// The second player aims in any of eight directions with the keyboard. When they're not aiming, they keep facing the same way.
+		if (players.length > 1) {
+			two.move = direction(active, ["p2_up", "p2_down", "p2_left", "p2_right"]);
+			const {x, y} = direction(active, ["p2_aim_up", "p2_aim_down", "p2_aim_left", "p2_aim_right"]);
+			two.auto_fire = x !== 0 || y !== 0;
+			const dir = two.auto_fire ? Math.atan2(y, x) : players[1].dir;
+			two.aim = {x: players[1].x + Math.cos(dir) * this.AIM_DISTANCE, y: players[1].y + Math.sin(dir) * this.AIM_DISTANCE};
+		}
+	},
+	// The state of the actions, in a form that can be recorded and restored.
+	snapshot() {
+		return [Array.from(this.held.entries()), this.players.map(({move, aim, auto_fire}) => [move.x, move.y, aim.x, aim.y, auto_fire])];
+	},
+	restore([held, players]) {
+		this.held = new Map(held);
+		this.players = players.map(([move_x, move_y, aim_x, aim_y, auto_fire]) => ({move: {x: move_x, y: move_y}, aim: {x: aim_x, y: aim_y}, auto_fire}));
+	},
+	// How to perform the action, for showing to the player (e.g. "P", or "CLICK").
+	describe(action) {
+		if (this.bindings === null)
+			this.load();
+		const [input] = this.bindings[action];
+		return input === undefined ? "(UNBOUND)" : input === "MOUSE" ? "CLICK" : input;
+	},
+	// The name of the movement layout in use, or null if the movement keys have been customised.
+	layout() {
+		if (this.bindings === null)
+			this.load();
+		const movement = JSON.stringify(["up", "down", "left", "right"].map(action => this.bindings[action]));
+		return Object.keys(LAYOUTS).find(layout => JSON.stringify(["up", "down", "left", "right"].map(action => LAYOUTS[layout][action])) === movement) || null;
+	},
+	// Bind an input to an action, in place of the action's primary binding. The input is unbound from any other action on the controls screen, so that it doesn't do two things at once.
+	rebind(action, input) {
+		for (const other of this.REBINDABLE) {
+			if (other !== action)
+				this.bindings[other] = this.bindings[other].filter(bound => bound !== input);
+		}
+		this.bindings[action] = [input, ...this.bindings[action].slice(1).filter(bound => bound !== input)];
+		this.release_shortcuts();
+		this.save();
+	},
+	use_layout(layout) {
+		Object.assign(this.bindings, structuredClone(LAYOUTS[layout]));
+		// The movement keys are taken away from whichever other actions on the controls screen had them.
+		const movement = Object.values(LAYOUTS[layout]).flat();
+		for (const other of this.REBINDABLE) {
+			if (!(other in LAYOUTS[layout]))
+				this.bindings[other] = this.bindings[other].filter(bound => !movement.includes(bound));
+		}
+		this.release_shortcuts();
+		this.save();
+	},
+	reset() {
+		this.bindings = structuredClone(DEFAULT_BINDINGS);
+		this.check();
+		this.save();
+	},
+	// The actions on the controls screen take precedence over the `SHORTCUTS` (which can't be rebound), so the shortcuts only have whichever of their default inputs aren't bound to one of those actions. For instance, "F" is used for full-screen mode by default, but for moving right in the ESDF layout. The controls screen shows which shortcuts are left without an input.
+	release_shortcuts() {
+		const taken = new Set(this.REBINDABLE.flatMap(action => this.bindings[action]));
+		for (const shortcut of this.SHORTCUTS)
+			this.bindings[shortcut] = DEFAULT_BINDINGS[shortcut].filter(input => !taken.has(input));
+		this.check();
+	},
+	// The shortcuts that have no input bound to them, so can't be used.
+	unbound_shortcuts() {
+		if (this.bindings === null)
+			this.load();
+		return this.SHORTCUTS.filter(shortcut => this.bindings[shortcut].length === 0);
+	},
+	// Check that no input does two things at once. The `SHORTCUTS`, and the actions on the controls screen, may not share an input with any other of those actions. Other actions are only used at particular times (e.g. "save", once the game is over), or, like the second player's, take their inputs over when they're used, so may share inputs with the rest.
+	check() {
+		const exclusive = [...this.REBINDABLE, ...this.SHORTCUTS];
+		const actions = Object.keys(this.bindings);
+		actions.forEach((action, i) => {
+			for (const other of actions.slice(i + 1)) {
+				if (this.SHORTCUTS.includes(action) || this.SHORTCUTS.includes(other) || (exclusive.includes(action) && exclusive.includes(other)))
+					console.assert(!this.bindings[action].some(input => this.bindings[other].includes(input)), "The actions %s and %s share an input.", action, other);
+			}
+		});
+	},
+	load() {
+		this.bindings = structuredClone(DEFAULT_BINDINGS);
+		const store = local_storage();
+		try {
+			const stored = store !== null ? store.getItem(this.STORAGE_KEY) : null;
+			if (stored !== null) {
+				const data = JSON.parse(stored);
+				if (data.version !== this.VERSION)
+					throw new Error(`Unrecognised controls format (version ${data.version}).`);
+				// Any actions that are missing (e.g. because they were added after the controls were saved) keep their default bindings.
+				for (const action of Object.keys(DEFAULT_BINDINGS)) {
+					const inputs = data.bindings[action];
+					if (Array.isArray(inputs) && inputs.every(input => typeof input === "string"))
+						this.bindings[action] = inputs;
+				}
+			}
+		} catch (error) {
+			console.warn("The saved controls could not be read, so the default controls are being used.", error);
+		}
+		this.release_shortcuts();
+	},
+	save() {
+		const store = local_storage();
+		if (store === null)
+			return;
+		try {
+			store.setItem(this.STORAGE_KEY, JSON.stringify({version: this.VERSION, bindings: this.bindings}));
+		} catch (error) {
+			console.warn("The controls could not be saved.", error);
+		}
+	},
+};
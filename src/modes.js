@@ -0,0 +1,78 @@
+import {SECS} from "./constants.js";
+import {controls} from "./input.js";
+import {events} from "./events.js";
+import {game} from "./state.js";
+import {Displacement} from "./entities.js";
+
+const SANDBOX_STRENGTHS = [32, 64, 128, 256, 512]; // How strongly each click in zen mode distorts the grid, from weakest to strongest.
+const SANDBOX_INTERVAL = 8; // How often (in time steps) a distortion is created while fire is held in zen mode.
+
+// The modes that may be chosen on the title screen, in the order they're listed there. Each has:
+// - `name`, and a `description` shown on the title screen.
+// - `table`, the name of the mode's high score tables (following the level's name), or `null` if it has none. The standard endless game has no name of its own, so that it keeps its original tables.
+// - `lives`, how many lives each player starts with.
+// - `enemies`, whether the level's enemies and powerups spawn. Without them, there's nothing to shoot, so the players can't fire.
+// - `time_limit`, how many seconds the run lasts (if it isn't over before then), or `null`, if it lasts as long as the players survive.
+// - `daily`, whether the enemies and powerups spawn in the same way for everyone on any given day (see `Game.spawn_random`). The difficulty then increases on a fixed schedule, too, rather than waiting for bosses to be defeated (see `WaveRunner`).
+// - Optional hooks: `start()`, which returns whatever the mode keeps track of during the run (its `state`), `update(state)`, which is called each time step during the run, `status(state)`, which returns the line shown at the top of the screen during the run, and `instructions()`, which returns the line shown at the bottom.
+export const MODES = {
+	endless: {name: "ENDLESS", description: "SURVIVE FOR AS LONG AS YOU CAN", table: "", lives: 3, enemies: true, time_limit: null, daily: false},
+	time_attack: {
+		name: "TIME ATTACK",
+		description: "SCORE AS MUCH AS YOU CAN IN THREE MINUTES",
+		table: "time attack",
+		lives: 3,
+		enemies: true,
+		time_limit: 180,
+		status() {
+			const remaining = Math.ceil(Math.max(0, this.time_limit * SECS - (game.time - game.start_time)) / SECS);
+			return `TIME ${Math.floor(remaining / 60)}:${`${remaining % 60}`.padStart(2, "0")}`;
+		},
+	},
+	// Everyone's enemies come in the same order on the same day, so that players may compare their scores. The day is in UTC, so that it's the same day everywhere.
+	daily: {
+		name: "DAILY CHALLENGE",
+		description: "TODAY'S ENEMIES, THE SAME FOR EVERYONE, WITH ONE LIFE",
+		table: "daily",
+		lives: 1,
+		enemies: true,
+		time_limit: null,
+		daily: true,
+		status: () => `DAILY CHALLENGE ${game.date}`,
+	},
+	// A sandbox without enemies, in which the players may distort the grid as they like, until they choose to finish.
+	zen: {
+		name: "ZEN",
+		description: "NO ENEMIES: CLICK TO DISTORT THE GRID",
+		table: null,
+		lives: 3,
+		enemies: false,
+		time_limit: null,
+		daily: false,
+		start: () => ({strength: 2, invert: false}), // The strength (an index into `SANDBOX_STRENGTHS`) and polarity of the distortion clicking creates.
+		update(state) {
+			if (controls.is_pressed("weaker"))
+				state.strength = Math.max(0, state.strength - 1);
+			if (controls.is_pressed("stronger"))
+				state.strength = Math.min(SANDBOX_STRENGTHS.length - 1, state.strength + 1);
+			if (controls.is_pressed("polarity"))
+				state.invert = !state.invert;
+			// Clicking (or holding fire) distorts the grid where the first player is aiming, pushing the grid away, or pulling it in.
+			const held = controls.held.get("fire");
+			if (held !== undefined && (held - 1) % SANDBOX_INTERVAL === 0) {
+				const {aim} = controls.players[0];
+				const dist = SANDBOX_STRENGTHS[state.strength];
+				new Displacement({x: aim.x, y: aim.y, dist, invert: state.invert, destroy: dist / 90});
+			}
+			if (controls.is_pressed("confirm"))
+				events.emit("game_over", {score: game.score, reason: "finished"});
+		},
+		status: (state) => `${state.invert ? "PULL" : "PUSH"}  STRENGTH ${state.strength + 1}`,
+		instructions: () => `${controls.describe("fire")}: DISTORT / ${controls.describe("weaker")} ${controls.describe("stronger")}: STRENGTH / ${controls.describe("polarity")}: PUSH OR PULL / ${controls.describe("confirm")}: FINISH`,
+	},
+};
+
+// The daily challenge's seed for the given date (e.g. 20261019 for "2026-10-19").
+export function daily_seed(date) {
+	return Number(date.replace(/-/g, ""));
+}
@@ -0,0 +1,90 @@
+import {TAU} from "./constants.js";
+import {context, PD, draw} from "./draw.js";
+import {game} from "./state.js";
+
+// Icons for the powerups, drawn (with the current stroke and fill style) both on the powerup itself and in the HUD. Each is centred on `o`, and fits within `size`.
+const ICONS = {
+	// A fan of bullets.
+	spread: (bullets) => (o, size) => {
+		const spread = TAU / 6;
+		context.beginPath();
+		for (let b = 0; b < bullets; ++b) {
+			const dir = -TAU / 4 + b / (bullets - 1) * spread - spread / 2;
+			context.moveTo(o.x * PD, (o.y + size / 2) * PD);
+			context.lineTo((o.x + Math.cos(dir) * size) * PD, (o.y + size / 2 + Math.sin(dir) * size) * PD);
+		}
+		context.stroke();
+	},
+	shield(o, size) {
+		draw.polygon({x: o.x, y: o.y, rotate: TAU / 4}, size, 6);
+	},
+	// An arrow passing through a circle.
+	piercing(o, size) {
+		context.beginPath();
+		context.arc(o.x * PD, o.y * PD, size / 2 * PD, 0, TAU);
+		context.moveTo((o.x - size) * PD, o.y * PD);
+		context.lineTo((o.x + size) * PD, o.y * PD);
+		context.lineTo((o.x + size / 2) * PD, (o.y - size / 2) * PD);
+		context.moveTo((o.x + size) * PD, o.y * PD);
+		context.lineTo((o.x + size / 2) * PD, (o.y + size / 2) * PD);
+		context.stroke();
+	},
+	// Three chevrons.
+	rapid(o, size) {
+		context.beginPath();
+		for (let i = -1; i <= 1; ++i) {
+			const x = o.x + i * size / 2;
+			context.moveTo((x - size / 4) * PD, (o.y - size / 2) * PD);
+			context.lineTo((x + size / 4) * PD, o.y * PD);
+			context.lineTo((x - size / 4) * PD, (o.y + size / 2) * PD);
+		}
+		context.stroke();
+	},
+	// An hourglass.
+	slow(o, size) {
+		context.beginPath();
+		context.moveTo((o.x - size / 2) * PD, (o.y - size) * PD);
+		context.lineTo((o.x + size / 2) * PD, (o.y - size) * PD);
+		context.lineTo((o.x - size / 2) * PD, (o.y + size) * PD);
+		context.lineTo((o.x + size / 2) * PD, (o.y + size) * PD);
+		context.closePath();
+		context.stroke();
+	},
+	// A star burst.
+	bomb(o, size) {
+		context.beginPath();
+		for (let i = 0; i < 16; ++i) {
+			const r = i % 2 === 0 ? size : size / 2;
+			context.lineTo((o.x + Math.cos(i / 16 * TAU) * r) * PD, (o.y + Math.sin(i / 16 * TAU) * r) * PD);
+		}
+		context.closePath();
+		context.fill();
+	},
+};
+
+// The kinds of powerup. Each has:
+// - `hue` and `lightness`, the colour it's drawn in, and an `icon` (see `ICONS`).
+// - `duration`, how many seconds it lasts once collected (or `null`, if it's permanent).
+// - `stacking`, what happens when it's collected while it's already active: "refresh" restarts the timer, "extend" adds the duration to the time remaining, and "charges" adds a charge (up to `max_charges`) as well as restarting the timer.
+// - `progression`, whether it's one of the upgrades spawned in order by the "next" powerup type (in the order they're listed here). Otherwise, it may be spawned by the "random" type.
+// - Optional hooks, which are combined over every active powerup (of the player concerned, or of every player) by `Game.apply_powerups`: `bullets(count)`, `bullet(bullet)` (called on each bullet as it's fired), `firing_rate(seconds)` and `enemy_speed(spd)`, each of which returns its (modified) argument.
+// - Optional events: `absorbs_hits`, if it uses up a charge instead of the player being destroyed, and `expired(player)`, called when it runs out.
+export const POWERUP_TYPES = {
+	double: {hue: 0, lightness: 100, icon: ICONS.spread(2), duration: null, progression: true, bullets: (count) => Math.max(count, 2)},
+	triple: {hue: 0, lightness: 100, icon: ICONS.spread(3), duration: null, progression: true, bullets: (count) => Math.max(count, 3)},
+	quad: {hue: 0, lightness: 100, icon: ICONS.spread(4), duration: null, progression: true, bullets: (count) => Math.max(count, 4)},
+	shield: {hue: 180, lightness: 60, icon: ICONS.shield, duration: 20, stacking: "charges", max_charges: 3, absorbs_hits: true},
+	piercing: {hue: 30, lightness: 60, icon: ICONS.piercing, duration: 10, stacking: "extend", bullet: (bullet) => Object.assign(bullet, {pierced: new Set()})},
+	rapid: {hue: 55, lightness: 60, icon: ICONS.rapid, duration: 8, stacking: "extend", firing_rate: (seconds) => seconds / 2},
+	slow: {hue: 240, lightness: 70, icon: ICONS.slow, duration: 6, stacking: "refresh", enemy_speed: (spd) => spd / 2},
+	// The bomb has a short fuse, so that the player sees it coming.
+	bomb: {hue: 0, lightness: 60, icon: ICONS.bomb, duration: 0.5, stacking: "refresh", expired: (player) => game.detonate_bomb(player)},
+};
+
+// Draw a powerup's icon in its colour (at the given alpha).
+export function draw_powerup_icon(type, o, size, alpha = 1) {
+	const kind = POWERUP_TYPES[type];
+	context.fillStyle = context.strokeStyle = `hsl(${kind.hue}, 100%, ${kind.lightness}%)`;
+	context.lineWidth = 2;
+	draw.with_alpha(() => draw.with_glow(() => kind.icon(o, size), context.strokeStyle, 8), alpha);
+}
@@ -0,0 +1,94 @@
+import {CELL_SIZE} from "./constants.js";
+import {local_storage} from "./util.js";
+import {draw} from "./draw.js";
+import {game} from "./state.js";
+
+const on_off = value => value ? "ON" : "OFF";
+
+// The options that may be changed on the settings screen, in the order they're listed. Each may be set to any of its `values`, which is shown to the player as its `label`.
+// Gameplay options are fixed for the whole of a run, so that it can be replayed exactly: changing one only takes effect from the next run. The others take effect immediately.
+export const OPTIONS = {
+	players: {name: "PLAYERS", values: [1, 2], default: 1, label: value => value === 1 ? "ONE" : "TWO (CO-OP)", gameplay: true}, // In co-op, the second player moves and aims with the keyboard (see `controls`).
+	automatic_firing: {name: "AUTOMATIC FIRING", values: [false, true], default: false, label: on_off, gameplay: true},
+	firing_rate: {name: "FIRING RATE", values: [0.2, 0.15, 0.1, 0.075, 0.05], default: 0.1, label: value => `${Math.round(1 / value)} PER SECOND`, gameplay: true}, // The time (in seconds) between shots.
+	player_speed: {name: "PLAYER SPEED", values: [3, 4, 5, 6], default: 4, label: value => ["SLOW", "NORMAL", "FAST", "VERY FAST"][value - 3], gameplay: true},
+	max_enemies: {name: "MAXIMUM ENEMIES", values: [15, 20, 30, 40, 50], default: 30, label: value => `${value}`, gameplay: true}, // How many enemies and powerups there may be at once (not counting projectiles), beyond which no more spawn.
+	difficulty: {name: "DIFFICULTY", values: [1.5, 1, 0.5], default: 1, label: value => ({1.5: "EASY", 1: "NORMAL", 0.5: "HARD"})[value], gameplay: true}, // How long the difficulty takes to increase, relative to the level.
+	cell_size: {name: "GRID DENSITY", values: [48, 32, 24, 16], default: CELL_SIZE, label: value => ({48: "LOW", 32: "MEDIUM", 24: "HIGH", 16: "VERY HIGH"})[value]}, // The size of each grid cell.
+	glow: {name: "GLOW", values: [0, 0.5, 1, 1.5], default: 1, label: value => value === 0 ? "OFF" : `${value * 100}%`},
+	screenshot_mode: {name: "SCREENSHOT MODE", values: [false, true], default: false, label: on_off}, // Hide the pause screen, so the game can be captured while it's paused.
+	// Capturing stills and clips of the game (see `capture`).
+	capture_hud: {name: "HUD IN CAPTURES", values: [true, false], default: true, label: on_off},
+	clip_length: {name: "CLIP LENGTH", values: [0, 5, 10, 20], default: 5, label: value => value === 0 ? "OFF" : `${value} SECONDS`}, // How many of the last seconds of play are kept, to be saved as a clip. Every frame is kept in memory, so clips may be turned off.
+	clip_format: {name: "CLIP FORMAT", values: ["webm", "gif"], default: "webm", label: value => value.toUpperCase()}, // WebM clips are saved as GIFs instead if the browser can't record video.
+	frame_accurate: {name: "FRAME-ACCURATE CLIPS", values: [false, true], default: false, label: on_off}, // Advance the game by the same number of time steps for every frame of a clip, slowing the game down if frames can't be captured quickly enough.
+};
+
+// The player's choice for each of the `OPTIONS`, which are kept in local storage.
+export const settings = {
+	STORAGE_KEY: "distort-settings",
+	VERSION: 1, // The version of the storage format.
+	values: null, // These are loaded the first time they're needed.
+	get(option) {
+		if (this.values === null)
+			this.load();
+		return this.values[option];
+	},
+	set(option, value) {
+		console.assert(OPTIONS[option].values.includes(value), "An option was set to an invalid value: %s %o", option, value);
+		if (this.values === null)
+			this.load();
+		this.values[option] = value;
+		this.apply();
+		this.save();
+	},
+	// Change the option to its next value (or its previous one, if `step` is -1), wrapping around.
+	cycle(option, step = 1) {
+		const values = OPTIONS[option].values;
+		this.set(option, values[(values.indexOf(this.get(option)) + step + values.length) % values.length]);
+	},
+	// The gameplay options, which a run is played with (and recorded with).
+	gameplay() {
+		return Object.fromEntries(Object.keys(OPTIONS).filter(option => OPTIONS[option].gameplay).map(option => [option, this.get(option)]));
+	},
+	// Put the options that take effect immediately into effect.
+	apply() {
+		draw.glow = this.get("glow");
+		if (game !== null && game.grid.cell_size !== this.get("cell_size"))
+			game.rebuild_grid();
+	},
+	reset() {
+		this.values = Object.fromEntries(Object.entries(OPTIONS).map(([option, {default: value}]) => [option, value]));
+		this.apply();
+		this.save();
+	},
+	load() {
+		this.values = Object.fromEntries(Object.entries(OPTIONS).map(([option, {default: value}]) => [option, value]));
+		const store = local_storage();
+		try {
+			const stored = store !== null ? store.getItem(this.STORAGE_KEY) : null;
+			if (stored === null)
+				return;
+			const data = JSON.parse(stored);
+			if (data.version !== this.VERSION)
+				throw new Error(`Unrecognised settings format (version ${data.version}).`);
+			// Any options that are missing or invalid keep their defaults.
+			for (const option of Object.keys(OPTIONS)) {
+				if (OPTIONS[option].values.includes(data.values[option]))
+					this.values[option] = data.values[option];
+			}
+		} catch (error) {
+			console.warn("The saved settings could not be read, so the defaults are being used.", error);
+		}
+	},
+	save() {
+		const store = local_storage();
+		if (store === null)
+			return;
+		try {
+			store.setItem(this.STORAGE_KEY, JSON.stringify({version: this.VERSION, values: this.values}));
+		} catch (error) {
+			console.warn("The settings could not be saved.", error);
+		}
+	},
+};
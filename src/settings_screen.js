@@ -0,0 +1,94 @@
+import {WIDTH, HEIGHT} from "./constants.js";
+import {context, draw} from "./draw.js";
+import {cursor, controls} from "./input.js";
+import {game} from "./state.js";
+import {settings, OPTIONS} from "./settings.js";
+
+const ROW_HEIGHT = 26;
+const TOP = HEIGHT / 8 + 60; // The position of the first row.
+
+// The settings screen, which may be opened from the title screen or the pause screen, on which the player may change any of the `OPTIONS`.
+export const settings_screen = {
+	is_open: false,
+	selected: 0, // The index of the selected row.
+	// Each option may be changed, followed by the other choices.
+	rows() {
+		return [...Object.keys(OPTIONS), "reset", "back"];
+	},
+	open() {
+		[this.is_open, this.selected] = [true, 0];
+	},
+	close() {
+		this.is_open = false;
+	},
+	// The row at the given position, or -1 if there isn't one.
+	row_at({x, y}) {
+		const row = Math.round((y - TOP) / ROW_HEIGHT);
+		return Math.abs(x - WIDTH / 2) < 220 && row >= 0 && row < this.rows().length ? row : -1;
+	},
+	// Change an option. On the title screen, the run hasn't begun yet, so a new game is started with the new gameplay options straight away.
+	change(option, step) {
+		settings.cycle(option, step);
+		if (OPTIONS[option].gameplay && game.at_title_screen && !game.replaying)
+			game.restart();
+	},
+	// Each time step, navigate the screen.
+	update() {
+		const rows = this.rows();
+		if (controls.is_pressed("settings")) {
+			this.close();
+			return;
+		}
+		if (controls.is_pressed("up"))
+			this.selected = (this.selected + rows.length - 1) % rows.length;
+		if (controls.is_pressed("down"))
+			this.selected = (this.selected + 1) % rows.length;
+		// Clicking chooses the row that was clicked on.
+		if (cursor.is_pressed()) {
+			const row = this.row_at(cursor);
+			if (row === -1)
+				return;
+			this.selected = row;
+		}
+		const row = rows[this.selected];
+		if (row in OPTIONS) {
+			// Options may also be changed in either direction with left and right.
+			if (controls.is_pressed("left"))
+				this.change(row, -1);
+			else if (controls.is_pressed("right") || controls.is_pressed("confirm") || controls.is_pressed("fire"))
+				this.change(row, 1);
+		} else if (controls.is_pressed("confirm") || controls.is_pressed("fire")) {
+			switch (row) {
+				case "reset":
+					settings.reset();
+					if (game.at_title_screen && !game.replaying)
+						game.restart();
+					break;
+				case "back":
+					this.close();
+					break;
+			}
+		}
+	},
+	draw() {
+		context.fillStyle = "white";
+		draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT / 8}, "SETTINGS", 48, draw.TEXT_CENTRED), context.fillStyle);
+		this.rows().forEach((row, i) => {
+			const y = TOP + i * ROW_HEIGHT;
+			context.fillStyle = i === this.selected ? "hsl(55, 100%, 60%)" : "white";
+			if (row in OPTIONS) {
+				const option = OPTIONS[row];
+				draw.text({x: WIDTH / 2 - 200, y}, option.name, 20, {h: "left", v: "middle"});
+				draw.text({x: WIDTH / 2 + 200, y}, option.label(settings.get(row)), 20, {h: "right", v: "middle"});
+			} else {
+				const label = {reset: "RESET TO DEFAULTS", back: "BACK"}[row];
+				draw.text({x: WIDTH / 2, y}, label, 20, draw.TEXT_CENTRED);
+			}
+		});
+		context.fillStyle = "white";
+		// During a run, the gameplay options can't be changed until the next one.
+		if (!game.at_title_screen && Object.keys(OPTIONS).some(option => OPTIONS[option].gameplay && game.rules[option] !== settings.get(option)))
+			draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT - 76}, "SOME CHANGES WILL TAKE EFFECT FROM THE NEXT GAME", 16, draw.TEXT_CENTRED), context.fillStyle, 2);
+		draw.with_glow(() => draw.text({x: WIDTH / 2, y: HEIGHT - 48}, `${controls.describe("up")} / ${controls.describe("down")} TO CHOOSE, ${controls.describe("left")} / ${controls.describe("right")} / CLICK TO CHANGE`, 16, draw.TEXT_CENTRED), context.fillStyle, 2);
+	},
+};
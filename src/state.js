@@ -0,0 +1,6 @@
+// The game currently being played. This is shared by every module, and replaced whenever the game is restarted.
+export let game = null;
+
+export function set_game(new_game) {
+	game = new_game;
+}
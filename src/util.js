@@ -0,0 +1,42 @@
+// Helper functions.
+export function is_numeric(...values) {
+	return values.every(x => typeof x === "number");
+}
+
+export function clamp(min, value, max) {
+	return Math.min(max, Math.max(min, value));
+}
+
+export function call_if_defined(context, ...fns) {
+	for (const fn of fns) {
+		if (typeof fn === "function") {
+			fn.call(context);
+			break;
+		}
+	}
+}
+
+// The browser's local storage, if it's available. (It isn't when the game is run headlessly, and accessing it may throw if the player has disabled it.)
+export function local_storage() {
+	try {
+		return typeof localStorage !== "undefined" ? localStorage : null;
+	} catch (error) {
+		return null;
+	}
+}
+
+// A seedable pseudorandom number generator (using the mulberry32 algorithm). All randomness in the game must come from here, rather than `Math.random()`, so that runs can be reproduced.
+export class Random {
+	constructor(seed = Math.floor(Math.random() * 2 ** 32)) {
+		this.seed = seed >>> 0;
+		this.state = this.seed;
+	}
+	// Returns a number in the range [0, 1), like `Math.random()`.
+	next() {
+		this.state = (this.state + 0x6D2B79F5) >>> 0;
+		let t = this.state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+	}
+}
@@ -0,0 +1,179 @@
+import {WIDTH, HEIGHT, SECS, TIME_STEP, CELL_SIZE} from "./constants.js";
+import {is_numeric} from "./util.js";
+import {POWERUP_TYPES} from "./powerups.js";
+import {ENEMY_TYPES} from "./enemies.js";
+import {game} from "./state.js";
+import {events} from "./events.js";
+
+// Levels describe when and where enemies and powerups spawn. They're written in JSON (see `levels/endless.json` for the standard game), in the following format (times are in seconds since the level began, and every property except `waves` is optional):
+//     {
+//         "name": "Example",
+//         "difficulty": {"start": 0, "increase_every": 30}, // The difficulty is used by enemies that don't specify their own.
+//         "bosses": [3, 6], // The difficulties at which a boss appears. Enemies stop spawning until it's been defeated.
+//         "waves": [
+//             {
+//                 "at": 10, // When the wave first spawns.
+//                 "every": {"initial": 5, "decay": 1.02, "minimum": 0.2}, // If present, the wave repeats: the interval starts at `initial` and is divided by `decay` for every second that has passed, down to `minimum` (if it's given, as otherwise the interval never drops below `initial`). (`every` may also simply be a number of seconds.)
+//                 "until": 60, // If present, the wave stops repeating after this time.
+//                 "enemies": [
+//                     {
+//                         "type": "enemy", // One of `ENEMY_TYPES`: "enemy", "splitter", "orbiter", "dasher", "shooter" or "gravity".
+//                         "difficulty": 2,
+//                         "count": 5,
+//                         "side": "left", // One of "left", "right", "top", "bottom" or "random", from which the enemies enter. Alternatively, a `position` {"x", "y"} may be given instead.
+//                         "formation": "line" // How the enemies are arranged: one of `FORMATIONS`.
+//                     }
+//                 ],
+//                 "powerups": [{"type": "double", "chance": 0.5, "minimum_difficulty": 2}] // `type` is one of `POWERUP_TYPES`, "next" for the next upgrade the player doesn't yet have, or "random" for any other powerup.
+//             }
+//         ]
+//     }
+
+const SIDES = ["left", "right", "top", "bottom"];
+const SPACING = CELL_SIZE * 2; // The distance between enemies in a formation.
+
+// A random point just offscreen on the given side.
+function point_on_side(side) {
+	switch (side) {
+		case "left":	return {x: -CELL_SIZE, y: game.spawn_random.next() * (HEIGHT + CELL_SIZE * 2) - CELL_SIZE};
+		case "right":	return {x: WIDTH + CELL_SIZE, y: game.spawn_random.next() * (HEIGHT + CELL_SIZE * 2) - CELL_SIZE};
+		case "top":		return {x: game.spawn_random.next() * (WIDTH + CELL_SIZE * 2) - CELL_SIZE, y: -CELL_SIZE};
+		case "bottom":	return {x: game.spawn_random.next() * (WIDTH + CELL_SIZE * 2) - CELL_SIZE, y: HEIGHT + CELL_SIZE};
+	}
+}
+
+function random_side() {
+	return SIDES[Math.floor(game.spawn_random.next() * SIDES.length)];
+}
+
+// The ways enemies may be arranged when they spawn. Each returns the positions of `count` enemies entering from `side`, or around `position`, if it's given.
+export const FORMATIONS = {
+	// Each enemy enters from a random point (on a random side, if the side is "random").
+	scatter(count, side, position) {
+		return Array.from({length: count}, () => position || point_on_side(side === "random" ? random_side() : side));
+	},
+	// The enemies enter in a line along one side.
+	line(count, side, position) {
+		side = side === "random" ? random_side() : side;
+		const centre = position || point_on_side(side);
+		const horizontal = position || side === "top" || side === "bottom";
+		return Array.from({length: count}, (_, i) => {
+			const offset = (i - (count - 1) / 2) * SPACING;
+			return horizontal ? {x: centre.x + offset, y: centre.y} : {x: centre.x, y: centre.y + offset};
+		});
+	},
+	// The enemies enter bunched together.
+	cluster(count, side, position) {
+		const centre = position || point_on_side(side === "random" ? random_side() : side);
+		return Array.from({length: count}, () => ({x: centre.x + (game.spawn_random.next() - 0.5) * SPACING * 2, y: centre.y + (game.spawn_random.next() - 0.5) * SPACING * 2}));
+	},
+	// The enemies surround the player, entering evenly from all sides (or surround the position, if it's given).
+	surround(count, side, position) {
+		const radius = position ? SPACING * 2 : Math.hypot(WIDTH, HEIGHT) / 2 + CELL_SIZE;
+		const centre = position || {x: WIDTH / 2, y: HEIGHT / 2};
+		const offset = game.spawn_random.next();
+		return Array.from({length: count}, (_, i) => {
+			const angle = (i + offset) / count * 2 * Math.PI;
+			return {x: centre.x + Math.cos(angle) * radius, y: centre.y + Math.sin(angle) * radius};
+		});
+	},
+};
+
+// Whether a position given in a level is either absent, or a point {"x", "y"}.
+function is_position(position) {
+	return position === null || (typeof position === "object" && is_numeric(position.x, position.y));
+}
+
+// Check that a level is well-formed, and fill in the defaults, so that mistakes in level files are caught when they're loaded, rather than when the wave in question spawns. Throws an error describing the first mistake, if there is one.
+export function parse_level(level) {
+	if (level === null || typeof level !== "object")
+		throw new Error("A level must be an object.");
+	const {name = "Untitled", difficulty = {}, bosses = [], waves} = level;
+	if (!Array.isArray(waves))
+		throw new Error("A level has no waves.");
+	if (!Array.isArray(bosses) || !is_numeric(...bosses))
+		throw new Error(`A level has invalid bosses: ${JSON.stringify(bosses)}.`);
+	if ((difficulty.start !== undefined && !is_numeric(difficulty.start)) || (difficulty.increase_every !== undefined && !is_numeric(difficulty.increase_every)))
+		throw new Error(`A level has an invalid difficulty: ${JSON.stringify(difficulty)}.`);
+	return {
+		name,
+		difficulty: {start: difficulty.start || 0, increase_every: difficulty.increase_every || null},
+		bosses,
+		waves: waves.map(({at = 0, every = null, until = null, enemies = [], powerups = []}) => {
+			if (is_numeric(every))
+				every = {initial: every, decay: 1, minimum: every};
+			else if (every !== null)
+				every = {decay: 1, minimum: every.initial, ...every};
+			// The intervals must be positive, or the wave would spawn on every time step.
+			if (!is_numeric(at) || (every !== null && !(is_numeric(every.initial, every.decay, every.minimum) && every.initial > 0 && every.decay > 0 && every.minimum > 0)) || (until !== null && !is_numeric(until)))
+				throw new Error(`A wave has an invalid time: ${JSON.stringify({at, every, until})}.`);
+			if (!Array.isArray(enemies) || !Array.isArray(powerups))
+				throw new Error("A wave's enemies and powerups must be lists.");
+			return {
+				at,
+				every,
+				until,
+				enemies: enemies.map(({type = "enemy", difficulty = null, count = 1, side = "random", position = null, formation = "scatter"}) => {
+					if (!(type in ENEMY_TYPES) || !(side === "random" || SIDES.includes(side)) || !is_position(position) || !(formation in FORMATIONS) || !is_numeric(count) || (difficulty !== null && !is_numeric(difficulty)))
+						throw new Error(`A wave has an invalid enemy: ${JSON.stringify({type, difficulty, count, side, position, formation})}.`);
+					return {type, difficulty, count, side, position, formation};
+				}),
+				powerups: powerups.map(({type = "next", chance = 1, minimum_difficulty = 0, position = null}) => {
+					if (!(type === "next" || type === "random" || type in POWERUP_TYPES) || !is_numeric(chance, minimum_difficulty) || !is_position(position))
+						throw new Error(`A wave has an invalid powerup: ${JSON.stringify({type, chance, minimum_difficulty, position})}.`);
+					return {type, chance, minimum_difficulty, position};
+				}),
+			};
+		}),
+	};
+}
+
+// Runs a level, spawning each wave when it's due. Everything is timed with the game's simulated time.
+export class WaveRunner {
+	constructor(level, start_time, fixed = false) {
+		this.level = level;
+		this.start_time = start_time;
+		this.fixed = fixed; // Whether the schedule depends only on the time (as in the daily challenge), rather than on how quickly bosses are defeated.
+		this.difficulty_interval = level.difficulty.increase_every * game.rules.difficulty * SECS; // How long it takes the difficulty to increase, which depends on the difficulty chosen in the settings.
+		this.next_difficulty_time = level.difficulty.increase_every !== null ? start_time + this.difficulty_interval : Infinity;
+		this.next_times = level.waves.map(wave => start_time + wave.at * SECS); // When each wave is next due, or `null` once it's finished.
+	}
+	update() {
+		const now = game.time;
+		// The difficulty doesn't increase during a boss fight. On a fixed schedule, it instead stays at each boss's difficulty for twice as long as usual, however long the boss takes to defeat.
+		if (game.boss !== null && !this.fixed)
+			this.next_difficulty_time += TIME_STEP;
+		// Increase the difficulty every so often, and summon a boss at the chosen difficulties. (On a fixed schedule, a boss that's due while the last one is still alive doesn't appear.)
+		if (now >= this.next_difficulty_time) {
+			++game.difficulty;
+			events.emit("difficulty_up", {difficulty: game.difficulty});
+			this.next_difficulty_time += this.difficulty_interval;
+			if (this.level.bosses.includes(game.difficulty)) {
+				if (this.fixed)
+					this.next_difficulty_time += this.difficulty_interval;
+				if (game.boss === null)
+					game.spawn_boss(game.difficulty);
+			}
+		}
+		this.level.waves.forEach((wave, i) => {
+			if (this.next_times[i] === null || now < this.next_times[i])
+				return;
+			this.spawn(wave);
+			const elapsed = (now - this.start_time) / SECS;
+			if (wave.every !== null && (wave.until === null || elapsed < wave.until))
+				this.next_times[i] = now + Math.max(wave.every.minimum, wave.every.initial * Math.pow(wave.every.decay, -elapsed)) * SECS;
+			else this.next_times[i] = null;
+		});
+	}
+	spawn(wave) {
+		for (const enemy of wave.enemies) {
+			const difficulty = enemy.difficulty !== null ? enemy.difficulty : game.difficulty;
+			for (const {x, y} of FORMATIONS[enemy.formation](enemy.count, enemy.side, enemy.position))
+				game.spawn_enemy({type: enemy.type, x, y, difficulty});
+		}
+		for (const powerup of wave.powerups) {
+			if (game.spawn_random.next() < powerup.chance && game.difficulty >= powerup.minimum_difficulty)
+				game.spawn_powerup(powerup.type, powerup.position || undefined);
+		}
+	}
+}
@@ -0,0 +1,68 @@
+// The entities in a game. Each entity is given an id when it's spawned, which stays the same for as long as it's in the world (and is never reused).
+// While the world is being updated, entities that are spawned or removed are only added or taken away at the end of the time step, so that the world never changes while it's being iterated over. Until then, removed entities no longer count as being in the world, and spawned entities don't yet.
+export class World {
+	constructor(grid) {
+		this.grid = grid; // The distortion grid, whose sources are kept in step with the entities.
+		this.next_id = 1;
+		this.entities = new Map(); // The entities, by id, in the order they were spawned.
+		this.updating = false;
+		this.spawned = []; // The entities spawned during the current update.
+		this.removed = new Set(); // The entities removed during the current update.
+	}
+	spawn(o) {
+		o.id = this.next_id++;
+		if (this.updating)
+			this.spawned.push(o);
+		else this.add(o);
+	}
+	// Remove an entity, if it's still in the world. Its `removed` method is called straight away.
+	remove(o) {
+		if (this.spawned.includes(o))
+			this.spawned.splice(this.spawned.indexOf(o), 1);
+		else if (!this.contains(o))
+			return;
+		else if (this.updating)
+			this.removed.add(o);
+		else this.delete(o);
+		o.removed();
+	}
+	contains(o) {
+		return this.entities.get(o.id) === o && !this.removed.has(o);
+	}
+	// Every entity that's an instance of one of the given classes (or every entity, if none are given), in the order they were spawned. For instance, `all(Enemy)` is every enemy, and `all(Entity)` is every source of distortion.
+	all(...types) {
+		const entities = [];
+		for (const o of this.entities.values()) {
+			if (!this.removed.has(o) && (types.length === 0 || types.some(type => o instanceof type)))
+				entities.push(o);
+		}
+		return entities;
+	}
+	count(...types) {
+		return this.all(...types).length;
+	}
+	// Update every entity for a time step, then add and remove any entities that were spawned or removed in the meantime.
+	update() {
+		this.updating = true;
+		for (const o of this.entities.values()) {
+			if (!this.removed.has(o)) {
+				o.update();
+				o.clean();
+			}
+		}
+		this.updating = false;
+		for (const o of this.removed)
+			this.delete(o);
+		this.removed.clear();
+		for (const o of this.spawned.splice(0))
+			this.add(o);
+	}
+	add(o) {
+		this.entities.set(o.id, o);
+		this.grid.add_source(o);
+	}
+	delete(o) {
+		this.entities.delete(o.id);
+		this.grid.remove_source(o);
+	}
+}